@@ -0,0 +1,16 @@
+/**
+ * Writes `configSchema` in `openclaw.plugin.json` from `src/schema.js`.
+ * Run with `npm run manifest` after changing the schema or `DEFAULT_CONFIG`;
+ * the tests fail while the manifest is out of date.
+ */
+
+import { readFileSync, writeFileSync } from "node:fs"
+import { fileURLToPath } from "node:url"
+
+import { CONFIG_SCHEMA } from "../src/schema.js"
+
+const manifestPath = fileURLToPath(new URL("../openclaw.plugin.json", import.meta.url))
+const manifest = JSON.parse(readFileSync(manifestPath, "utf8"))
+
+manifest.configSchema = CONFIG_SCHEMA
+writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 4)}\n`)
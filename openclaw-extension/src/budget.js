@@ -0,0 +1,141 @@
+import { normalizeConfig } from "./config.js"
+import {
+    createTransformedView,
+    getPrunableInventory,
+    getTurnAges,
+    measureMessages,
+    pruneByIDs,
+} from "./core.js"
+
+/**
+ * Context-budget autopilot - when the transformed view exceeds `budget.limit`,
+ * prunes the oldest, largest unprotected inventory entries until the view is
+ * projected to be under `budget.target`.
+ *
+ * Messages restored with `/dcp restore` are never picked.
+ *
+ * Hysteresis: a run that cannot reach the target disarms the autopilot, so it
+ * does not retry on every transform. It re-arms once the view drops below the
+ * target, or grows by another full limit-to-target band.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ * @param {unknown} [runtime]
+ */
+export function applyBudget(messages, state, rawConfig, runtime) {
+    const config = normalizeConfig(rawConfig)
+    const idle = {
+        triggered: false,
+        prunedIDs: [],
+        viewTokens: 0,
+        limitTokens: 0,
+        targetTokens: 0,
+    }
+    if (!config.budget.enabled) {
+        return idle
+    }
+
+    const contextWindow = readContextWindow(runtime) || config.budget.contextWindow
+    const limitTokens = resolveTokenLimit(config.budget.limit, contextWindow)
+    // Without a window, a percentage target is taken of an absolute limit
+    // instead of resolving to 0 and pruning everything
+    const targetTokens = Math.min(
+        resolveTokenLimit(config.budget.target, contextWindow || limitTokens),
+        limitTokens,
+    )
+    if (limitTokens <= 0) {
+        return idle
+    }
+
+    const viewTokens = measureMessages(
+        createTransformedView(messages, state, config),
+        state,
+        config,
+    ).tokens
+    const result = { ...idle, viewTokens, limitTokens, targetTokens }
+
+    if (viewTokens < targetTokens) {
+        state.budget.armed = true
+    } else if (
+        !state.budget.armed &&
+        viewTokens > state.budget.lastTokens + limitTokens - targetTokens
+    ) {
+        state.budget.armed = true
+    }
+    if (!state.budget.armed || viewTokens <= limitTokens) {
+        return result
+    }
+
+    const turnAges = getTurnAges(messages)
+    const candidates = getPrunableInventory(messages, state, config)
+        .filter((entry) => !state.restoredIDs.has(entry.messageID))
+        .sort((a, b) => {
+            const ageDelta = (turnAges.get(b.messageID) ?? 0) - (turnAges.get(a.messageID) ?? 0)
+            return ageDelta !== 0 ? ageDelta : b.estimatedTokens - a.estimatedTokens
+        })
+
+    const selectedIDs = []
+    let projectedTokens = viewTokens
+    for (const entry of candidates) {
+        if (projectedTokens <= targetTokens) {
+            break
+        }
+        selectedIDs.push(entry.messageID)
+        projectedTokens -= entry.estimatedTokens
+    }
+
+    const pruned = pruneByIDs(messages, state, config, selectedIDs, "budget", undefined)
+    const afterTokens = measureMessages(
+        createTransformedView(messages, state, config),
+        state,
+        config,
+    ).tokens
+
+    state.budget.lastTokens = afterTokens
+    state.budget.armed = afterTokens <= targetTokens
+
+    return {
+        ...result,
+        triggered: true,
+        prunedIDs: pruned.prunedIDs,
+        viewTokens: afterTokens,
+    }
+}
+
+/**
+ * Resolves a budget value to tokens. Percentages need the model context window
+ * and resolve to 0 (disabled) without one.
+ *
+ * @param {number | string} value
+ * @param {number} contextWindow
+ */
+export function resolveTokenLimit(value, contextWindow) {
+    if (typeof value === "number") {
+        return value
+    }
+    const percent = Number.parseFloat(value)
+    if (!Number.isFinite(percent) || contextWindow <= 0) {
+        return 0
+    }
+    return Math.floor((contextWindow * percent) / 100)
+}
+
+/** @param {unknown} runtime */
+function readContextWindow(runtime) {
+    if (!runtime || typeof runtime !== "object") {
+        return 0
+    }
+    const value = /** @type {Record<string, any>} */ (runtime)
+    const candidates = [
+        value.contextWindow,
+        value.model?.contextWindow,
+        value.model?.limit?.context,
+    ]
+    for (const candidate of candidates) {
+        if (typeof candidate === "number" && Number.isFinite(candidate) && candidate > 0) {
+            return candidate
+        }
+    }
+    return 0
+}
@@ -1,51 +1,261 @@
-import { createTransformedView, getPrunableInventory, sweep } from "./core.js"
+import {
+    createTransformedView,
+    getPrunableInventory,
+    measureMessages,
+    measureSavings,
+    normalizeSweepFilters,
+    restoreByIDs,
+    selectRestoreIDs,
+    sweep,
+} from "./core.js"
+import { flattenConfig, isSessionSetting, writeConfigValue } from "./config.js"
+import { reconcileRestoredState } from "./persistence.js"
+import { validateConfig } from "./schema.js"
+import { cloneState, resolveConfig, resolveState } from "./state.js"
+
+const MAX_TIMELINE_LINES = 10
+const VALUE_OPTIONS = new Set(["--tool", "--min-tokens", "--older-than", "--largest"])
 
 /**
  * @param {Object} ctx
- * @param {import("./types.js").DcpState} ctx.state
+ * @param {import("./types.js").DcpState} [ctx.state]
+ * @param {import("./types.js").SessionStore} [ctx.sessions]
  * @param {import("./types.js").ExtensionConfig} ctx.config
+ * @param {(state: import("./types.js").DcpState) => import("./types.js").ExtensionConfig} [ctx.configFor] config with session overrides
+ * @param {(state: import("./types.js").DcpState) => Record<string, string>} [ctx.configSources] layer of each setting
+ * @param {string[]} [ctx.configWarnings] problems found by `validateConfig`
+ * @param {() => import("./types.js").ConfigReloadResult} [ctx.reload]
+ * @param {(state: import("./types.js").DcpState) => void} [ctx.persist]
+ * @param {(state: import("./types.js").DcpState) => { sessions: number, counters: import("./types.js").DcpCounters } | null} [ctx.lifetime]
  */
 export function createCommandHandler(ctx) {
     return async function dcpCommand(rawInput, runtime) {
         const text = typeof rawInput === "string" ? rawInput.trim() : ""
-        const args = text
+        const words = text
             .replace(/^\/dcp\s*/i, "")
             .trim()
             .split(/\s+/)
             .filter(Boolean)
+        const { args, flags, options } = parseWords(words)
+        const json = flags.has("--json")
         const subcommand = (args[0] || "").toLowerCase()
         const messages = extractMessages(runtime)
+        const state = resolveState(ctx, runtime)
+        const config = resolveConfig(ctx, state)
 
-        if (!ctx.config.commands.enabled) {
+        if (!config.commands.enabled) {
             return "dcp commands are disabled by config"
         }
 
+        if (reconcileRestoredState(state, messages)) {
+            ctx.persist?.(state)
+        }
+
         if (!subcommand) {
-            return "usage: /dcp context | /dcp stats | /dcp sweep [n]"
+            return "usage: /dcp context [--json] | /dcp stats [--json] | /dcp sweep [n] [--tool a,b] [--min-tokens n] [--older-than turns] [--all] [--largest n] [--dry-run] [--json] | /dcp restore <id|all|last> | /dcp pin <id> | /dcp unpin <id> | /dcp config [--json] | /dcp set <key> <value> | /dcp unset <key> | /dcp reload"
         }
 
         if (subcommand === "context") {
-            return formatContext(messages, ctx.state, ctx.config)
+            const report = collectContext(messages, state, config)
+            return json ? report : formatContext(report)
+        }
+
+        if (subcommand === "config") {
+            const warnings = ctx.configWarnings ?? []
+            const sources = ctx.configSources?.(state) ?? {}
+            if (json) {
+                return {
+                    command: "config",
+                    config,
+                    sources,
+                    warnings,
+                }
+            }
+            return formatConfig(config, sources, warnings)
+        }
+
+        if (subcommand === "set" || subcommand === "unset") {
+            const key = args[1] || ""
+            const valueText = args.slice(2).join(" ")
+            if (!key || (subcommand === "set" && !valueText)) {
+                return "usage: /dcp set <key> <value> | /dcp unset <key>"
+            }
+            if (!isSessionSetting(key)) {
+                return `${subcommand} ${key} applies to every session; change it in the host config`
+            }
+            if (subcommand === "unset") {
+                state.configOverrides = writeConfigValue(state.configOverrides, key, undefined)
+                ctx.persist?.(state)
+                return `unset ${key}`
+            }
+            const value = parseSettingValue(valueText)
+            const [problem] = validateConfig(writeConfigValue({}, key, value))
+            if (problem) {
+                return `set rejected ${problem}`
+            }
+            state.configOverrides = writeConfigValue(state.configOverrides, key, value)
+            ctx.persist?.(state)
+            return `set ${key}=${JSON.stringify(value)} (session)`
+        }
+
+        if (subcommand === "reload") {
+            if (!ctx.reload) {
+                return "reload is not available in this host"
+            }
+            const result = ctx.reload()
+            return json ? { command: "reload", ...result } : formatReload(result)
         }
 
         if (subcommand === "stats") {
-            return formatStats(ctx.state)
+            const report = collectStats(state, ctx.lifetime)
+            return json ? report : formatStats(report)
         }
 
         if (subcommand === "sweep") {
             const maybeLimit = Number.parseInt(args[1] || "", 10)
             const limit = Number.isFinite(maybeLimit) && maybeLimit > 0 ? maybeLimit : undefined
-            const result = sweep(messages, ctx.state, ctx.config, limit)
+            const filters = readSweepFilters(flags, options)
+            if (flags.has("--dry-run")) {
+                return previewSweep(messages, state, config, limit, filters, json)
+            }
+            const result = sweep(messages, state, config, limit, filters)
+            ctx.persist?.(state)
+            if (json) {
+                return {
+                    command: "sweep",
+                    dryRun: false,
+                    prunedIDs: result.prunedIDs,
+                    protectedIDs: result.protectedIDs,
+                    protectedReasons: result.protectedReasons,
+                    candidateCount: result.candidateCount,
+                    limit: result.usedLimit,
+                    filters: result.filters,
+                    saved: sumRecords(state, result.prunedIDs),
+                }
+            }
             return [
                 `sweep pruned=${result.prunedIDs.length}`,
                 `protected=${result.protectedIDs.length}`,
                 `candidates=${result.candidateCount}`,
-                result.usedLimit ? `limit=${result.usedLimit}` : "limit=all",
+                formatSweepSelection(result),
+            ].join(" ")
+        }
+
+        if (subcommand === "restore") {
+            const selector = args[1] || ""
+            if (!selector) {
+                return "usage: /dcp restore <id|all|last>"
+            }
+            const keyword = selector.toLowerCase()
+            const result = restoreByIDs(
+                state,
+                selectRestoreIDs(
+                    state,
+                    keyword === "all" || keyword === "last" ? keyword : selector,
+                ),
+            )
+            ctx.persist?.(state)
+            return [
+                `restore restored=${result.restoredIDs.length}`,
+                `missing=${result.missingIDs.length}`,
+                `distillationsRemoved=${result.removedDistillationIDs.length}`,
+                `compressionsRemoved=${result.removedCompressionIDs.length}`,
             ].join(" ")
         }
 
-        return "unknown /dcp subcommand; expected context, stats, or sweep [n]"
+        if (subcommand === "pin" || subcommand === "unpin") {
+            const target = args[1] || ""
+            if (!target) {
+                return subcommand === "pin"
+                    ? `pinned ${[...state.pinnedIDs].join(" ") || "none"}`
+                    : "usage: /dcp unpin <id>"
+            }
+            const messageID =
+                subcommand === "pin"
+                    ? resolvePinTarget(messages, state, config, target)
+                    : resolveUnpinTarget(messages, state, config, target)
+            if (!messageID) {
+                return `${subcommand} unknown id=${target}`
+            }
+            if (subcommand === "pin") {
+                state.pinnedIDs.add(messageID)
+            } else {
+                state.pinnedIDs.delete(messageID)
+            }
+            ctx.persist?.(state)
+            const stillPruned =
+                subcommand === "pin" && state.prunedByID.has(messageID)
+                    ? " (still pruned; /dcp restore to bring it back)"
+                    : ""
+            return `${subcommand} id=${messageID} pinned=${state.pinnedIDs.size}${stillPruned}`
+        }
+
+        return "unknown /dcp subcommand; expected context, stats, sweep [n], restore <id|all|last>, pin <id>, unpin <id>, config, set <key> <value>, unset <key>, or reload"
+    }
+}
+
+/**
+ * Splits command words into positional args, boolean `--flags` and
+ * `--option value` / `--option=value` pairs.
+ *
+ * @param {string[]} words
+ */
+function parseWords(words) {
+    const args = []
+    const flags = new Set()
+    /** @type {Map<string, string>} */
+    const options = new Map()
+
+    for (let index = 0; index < words.length; index += 1) {
+        const word = words[index]
+        if (!word.startsWith("--")) {
+            args.push(word)
+            continue
+        }
+        const separator = word.indexOf("=")
+        const name = (separator === -1 ? word : word.slice(0, separator)).toLowerCase()
+        if (!VALUE_OPTIONS.has(name)) {
+            flags.add(name)
+        } else if (separator !== -1) {
+            options.set(name, word.slice(separator + 1))
+        } else if (index + 1 < words.length) {
+            index += 1
+            options.set(name, words[index])
+        }
+    }
+
+    return {
+        args,
+        flags,
+        options,
+    }
+}
+
+/**
+ * @param {Set<string>} flags
+ * @param {Map<string, string>} options
+ * @returns {import("./types.js").SweepFilters}
+ */
+function readSweepFilters(flags, options) {
+    const readCount = (name) => {
+        const value = Number.parseInt(options.get(name) || "", 10)
+        return Number.isFinite(value) && value > 0 ? value : 0
     }
+    return normalizeSweepFilters({
+        tools: (options.get("--tool") || "").split(",").filter(Boolean),
+        minTokens: readCount("--min-tokens"),
+        olderThan: readCount("--older-than"),
+        all: flags.has("--all"),
+        largest: readCount("--largest"),
+    })
+}
+
+/** @param {{ usedLimit: number | null, filters: import("./types.js").SweepFilters }} result */
+function formatSweepSelection(result) {
+    if (result.filters.largest) {
+        return `largest=${result.filters.largest}`
+    }
+    return result.usedLimit ? `limit=${result.usedLimit}` : "limit=all"
 }
 
 /** @param {unknown} runtime */
@@ -56,49 +266,349 @@ function extractMessages(runtime) {
     return []
 }
 
-function formatContext(messages, state, config) {
-    const transformed = createTransformedView(messages, state)
-    const inventory = getPrunableInventory(messages, state, config)
-    const rawChars = totalChars(messages)
-    const transformedChars = totalChars(transformed)
-    const savedChars = rawChars - transformedChars
-    const prunableChars = inventory.reduce((total, entry) => total + entry.chars, 0)
-    const prunableTokens = inventory.reduce((total, entry) => total + entry.estimatedTokens, 0)
+/**
+ * Runs a sweep against a copy of the session state and reports the messages
+ * it would prune, the protected ones with their reasons, and projected savings.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {number | undefined} limit
+ * @param {import("./types.js").SweepFilters} filters
+ * @param {boolean} json
+ */
+function previewSweep(messages, state, config, limit, filters, json) {
+    const preview = cloneState(state)
+    const result = sweep(messages, preview, config, limit, filters)
+    const projectedSavings = measureSavings(messages, state, preview, config)
+
+    if (json) {
+        return {
+            command: "sweep",
+            dryRun: true,
+            prunedIDs: result.prunedIDs,
+            protectedIDs: result.protectedIDs,
+            protectedReasons: result.protectedReasons,
+            candidateCount: result.candidateCount,
+            limit: result.usedLimit,
+            filters: result.filters,
+            projectedSavings,
+        }
+    }
 
     const lines = [
-        `context rawMessages=${messages.length} viewMessages=${transformed.length} rawChars=${rawChars} viewChars=${transformedChars} savedChars=${savedChars}`,
-        `prunable count=${inventory.length} chars=${prunableChars} estTokens=${prunableTokens}`,
+        [
+            "sweep dryRun=true",
+            `wouldPrune=${result.prunedIDs.length}`,
+            `protected=${result.protectedIDs.length}`,
+            `candidates=${result.candidateCount}`,
+            formatSweepSelection(result),
+            `projectedSavedChars=${projectedSavings.chars}`,
+            `projectedSavedTokens=${projectedSavings.tokens}`,
+        ].join(" "),
     ]
+    for (const messageID of result.prunedIDs) {
+        const record = preview.prunedByID.get(messageID)
+        lines.push(
+            `prune ${messageID} ${record?.toolName || "unknown"} estTokens=${record?.tokens ?? 0}`,
+        )
+    }
+    for (const messageID of result.protectedIDs) {
+        lines.push(`protected ${messageID} reason=${result.protectedReasons[messageID]}`)
+    }
+    return lines.join("\n")
+}
+
+/**
+ * Pin targets are inventory IDs (`3` or `#3`) or message IDs.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {string} target
+ */
+function resolvePinTarget(messages, state, config, target) {
+    getPrunableInventory(messages, state, config)
+    const inventoryMessageID = state.inventory.numericToMessageID.get(target.replace(/^#/, ""))
+    if (inventoryMessageID) {
+        return inventoryMessageID
+    }
+    if (state.pinnedIDs.has(target) || messages.some((message) => message?.id === target)) {
+        return target
+    }
+    return ""
+}
+
+/**
+ * Pinning drops a message from the inventory and renumbers the rest, so unpin
+ * numbers count pinned messages at the position they had before the pin.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {string} target
+ */
+function resolveUnpinTarget(messages, state, config, target) {
+    if (state.pinnedIDs.has(target)) {
+        return target
+    }
+    const unpinned = { ...cloneState(state), pinnedIDs: new Set() }
+    getPrunableInventory(messages, unpinned, config)
+    const inventoryMessageID = unpinned.inventory.numericToMessageID.get(target.replace(/^#/, ""))
+    if (inventoryMessageID) {
+        return inventoryMessageID
+    }
+    return messages.some((message) => message?.id === target) ? target : ""
+}
+
+/**
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").ExtensionConfig} config
+ */
+function collectContext(messages, state, config) {
+    const transformed = createTransformedView(messages, state, config)
+    const inventory = getPrunableInventory(messages, state, config)
+    const raw = measureMessages(messages, state, config)
+    const view = measureMessages(transformed, state, config)
 
+    /** @type {Record<string, { count: number, chars: number, tokens: number }>} */
+    const byTool = Object.create(null)
     for (const entry of inventory) {
+        addToBucket(
+            byTool,
+            entry.toolName || entry.role || "unknown",
+            entry.chars,
+            entry.estimatedTokens,
+        )
+    }
+
+    return {
+        command: "context",
+        messages: { raw: messages.length, view: transformed.length },
+        chars: { raw: raw.chars, view: view.chars, saved: raw.chars - view.chars },
+        tokens: {
+            raw: raw.tokens,
+            view: view.tokens,
+            saved: raw.tokens - view.tokens,
+            tokenizer: raw.tokenizer,
+        },
+        prunable: {
+            count: inventory.length,
+            chars: inventory.reduce((total, entry) => total + entry.chars, 0),
+            tokens: inventory.reduce((total, entry) => total + entry.estimatedTokens, 0),
+            byTool: { ...byTool },
+        },
+        inventory: inventory.map((entry) => ({
+            id: entry.id,
+            messageID: entry.messageID,
+            role: entry.role,
+            toolName: entry.toolName,
+            chars: entry.chars,
+            tokens: entry.estimatedTokens,
+            ...(entry.blockTypes ? { blockTypes: entry.blockTypes } : {}),
+        })),
+    }
+}
+
+/** @param {ReturnType<typeof collectContext>} report */
+function formatContext(report) {
+    const lines = [
+        `context rawMessages=${report.messages.raw} viewMessages=${report.messages.view} rawChars=${report.chars.raw} viewChars=${report.chars.view} savedChars=${report.chars.saved}`,
+        `tokens raw=${report.tokens.raw} view=${report.tokens.view} saved=${report.tokens.saved} tokenizer=${report.tokens.tokenizer}`,
+        `prunable count=${report.prunable.count} chars=${report.prunable.chars} estTokens=${report.prunable.tokens}`,
+    ]
+
+    for (const entry of report.inventory) {
         const toolName = entry.toolName || entry.role || "unknown"
+        const blocks = entry.blockTypes ? ` blocks=${entry.blockTypes.join(",")}` : ""
         lines.push(
-            `#${entry.id} ${toolName} chars=${entry.chars} estTokens=${entry.estimatedTokens}`,
+            `#${entry.id} ${toolName} chars=${entry.chars} estTokens=${entry.tokens}${blocks}`,
         )
     }
 
     return lines.join("\n")
 }
 
-function formatStats(state) {
-    return [
-        `stats prunedMessages=${state.counters.prunedMessages}`,
-        `prunedChars=${state.counters.prunedChars}`,
-        `distillations=${state.counters.distillations}`,
-        `sweeps=${state.counters.sweeps}`,
-    ].join(" ")
-}
+/**
+ * Pruned messages broken down by tool and by reason, a timeline of prune
+ * batches, and lifetime totals across persisted sessions when available.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {((state: import("./types.js").DcpState) => { sessions: number, counters: import("./types.js").DcpCounters } | null) | undefined} lifetime
+ */
+function collectStats(state, lifetime) {
+    // Tool names and reasons come from the model; `__proto__` must stay a key
+    /** @type {Record<string, { count: number, chars: number, tokens: number }>} */
+    const byTool = Object.create(null)
+    /** @type {Record<string, { count: number, chars: number, tokens: number }>} */
+    const byReason = Object.create(null)
+    /** @type {Map<string, { at: number, time: string, reason: string, count: number, chars: number, tokens: number }>} */
+    const events = new Map()
 
-function totalChars(messages) {
-    let total = 0
-    for (const message of messages) {
-        if (typeof message.content === "string") {
-            total += message.content.length
-            continue
+    for (const record of [
+        ...state.prunedByID.values(),
+        ...state.prunedInputsByID.values(),
+        ...state.prunedBlocksByID.values(),
+        ...state.truncatedByID.values(),
+    ]) {
+        const tokens = record.tokens ?? 0
+        addToBucket(byTool, record.toolName || "unknown", record.chars, tokens)
+        addToBucket(byReason, record.reason, record.chars, tokens)
+
+        const key = `${record.at}:${record.reason}`
+        const event = events.get(key) || {
+            at: record.at,
+            time: new Date(record.at).toISOString(),
+            reason: record.reason,
+            count: 0,
+            chars: 0,
+            tokens: 0,
         }
-        if (message.content != null) {
-            total += JSON.stringify(message.content).length
+        event.count += 1
+        event.chars += record.chars
+        event.tokens += tokens
+        events.set(key, event)
+    }
+
+    return {
+        command: "stats",
+        counters: { ...state.counters },
+        // Spreading defines `__proto__` as an own key of a plain object
+        byTool: { ...byTool },
+        byReason: { ...byReason },
+        timeline: [...events.values()].sort((a, b) => a.at - b.at),
+        lifetime: lifetime ? lifetime(state) : null,
+    }
+}
+
+/** @param {ReturnType<typeof collectStats>} report */
+function formatStats(report) {
+    const lines = [
+        [
+            `stats prunedMessages=${report.counters.prunedMessages}`,
+            `prunedChars=${report.counters.prunedChars}`,
+            `prunedTokens=${report.counters.prunedTokens}`,
+            `distillations=${report.counters.distillations}`,
+            `compressions=${report.counters.compressions}`,
+            `sweeps=${report.counters.sweeps}`,
+        ].join(" "),
+    ]
+
+    for (const [label, buckets] of [
+        ["tool", report.byTool],
+        ["reason", report.byReason],
+    ]) {
+        const sorted = Object.entries(buckets).sort(([, a], [, b]) => b.tokens - a.tokens)
+        for (const [key, bucket] of sorted) {
+            lines.push(
+                `${label} ${key} count=${bucket.count} chars=${bucket.chars} tokens=${bucket.tokens}`,
+            )
         }
     }
-    return total
+
+    const recent = report.timeline.slice(-MAX_TIMELINE_LINES)
+    if (report.timeline.length > recent.length) {
+        lines.push(`timeline showing=${recent.length} of=${report.timeline.length}`)
+    }
+    for (const event of recent) {
+        lines.push(
+            `at ${event.time} reason=${event.reason} count=${event.count} chars=${event.chars} tokens=${event.tokens}`,
+        )
+    }
+
+    if (report.lifetime) {
+        const totals = report.lifetime.counters
+        lines.push(
+            [
+                `lifetime sessions=${report.lifetime.sessions}`,
+                `prunedMessages=${totals.prunedMessages}`,
+                `prunedChars=${totals.prunedChars}`,
+                `prunedTokens=${totals.prunedTokens}`,
+                `distillations=${totals.distillations}`,
+                `compressions=${totals.compressions}`,
+                `sweeps=${totals.sweeps}`,
+            ].join(" "),
+        )
+    }
+
+    return lines.join("\n")
+}
+
+/**
+ * The effective config as one `key=value from=layer` line per setting, after
+ * any warnings about the raw config.
+ *
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {Record<string, string>} sources
+ * @param {string[]} warnings
+ */
+function formatConfig(config, sources, warnings) {
+    const lines = [`config warnings=${warnings.length}`]
+    for (const warning of warnings) {
+        lines.push(`warning ${warning}`)
+    }
+    for (const [key, value] of flattenConfig(config)) {
+        lines.push(`${key}=${JSON.stringify(value)} from=${sources[key] ?? "default"}`)
+    }
+    return lines.join("\n")
+}
+
+/**
+ * `/dcp set` values are JSON (`true`, `3`, `["bash"]`); anything else is
+ * taken as a plain string, so `/dcp set tokenizer heuristic` works unquoted.
+ *
+ * @param {string} text
+ */
+function parseSettingValue(text) {
+    try {
+        return JSON.parse(text)
+    } catch {
+        // noop: not JSON, use the text itself
+        return text
+    }
+}
+
+/** @param {import("./types.js").ConfigReloadResult} result */
+function formatReload(result) {
+    const lines = [`reload changed=${result.changedKeys.length} warnings=${result.warnings.length}`]
+    for (const key of result.changedKeys) {
+        lines.push(`changed ${key}`)
+    }
+    for (const key of result.restartKeys) {
+        lines.push(`restart required for ${key}`)
+    }
+    for (const warning of result.warnings) {
+        lines.push(`warning ${warning}`)
+    }
+    return lines.join("\n")
+}
+
+/**
+ * @param {import("./types.js").DcpState} state
+ * @param {string[]} messageIDs
+ */
+function sumRecords(state, messageIDs) {
+    let chars = 0
+    let tokens = 0
+    for (const messageID of messageIDs) {
+        const record = state.prunedByID.get(messageID)
+        chars += record?.chars ?? 0
+        tokens += record?.tokens ?? 0
+    }
+    return { chars, tokens }
+}
+
+/**
+ * @param {Record<string, { count: number, chars: number, tokens: number }>} buckets
+ * @param {string} key
+ * @param {number} chars
+ * @param {number} tokens
+ */
+function addToBucket(buckets, key, chars, tokens) {
+    const bucket = buckets[key] || { count: 0, chars: 0, tokens: 0 }
+    bucket.count += 1
+    bucket.chars += chars
+    bucket.tokens += tokens
+    buckets[key] = bucket
 }
@@ -1,10 +1,91 @@
-const DEFAULT_CONFIG = Object.freeze({
+/** Variables a placeholder template may use, see `createTransformedView`. */
+const PLACEHOLDER_VARIABLES = new Set([
+    "id",
+    "toolName",
+    "reason",
+    "chars",
+    "tokens",
+    "filePath",
+    "distillation",
+    "age",
+])
+
+export const DEFAULT_CONFIG = Object.freeze({
     enabled: true,
     protectedTools: [],
     protectedFilePatterns: [],
+    protectedContentPatterns: [],
+    turnProtection: {
+        enabled: false,
+        turns: 4,
+    },
+    tokenizer: "auto",
     commands: {
         enabled: true,
     },
+    reload: {
+        configFile: "",
+        intervalMs: 2000,
+    },
+    persistence: {
+        enabled: true,
+        directory: "",
+    },
+    sessions: {
+        maxSessions: 50,
+    },
+    distillation: {
+        template: "[dcp-distilled id={distillationID} sources={sources}]\n{summary}",
+        combineConsecutive: false,
+    },
+    placeholders: {
+        template: "[dcp-pruned id={id} reason={reason}]",
+        byReason: {
+            distilled: "[dcp-pruned id={id} reason={reason} distilled={distillation}]",
+        },
+        byTool: {},
+        dropMessages: false,
+    },
+    truncation: {
+        headLines: 20,
+        tailLines: 20,
+        keepPatterns: [],
+    },
+    content: {
+        imageTokens: 1600,
+    },
+    pairing: {
+        stripCallInputs: false,
+    },
+    budget: {
+        enabled: false,
+        limit: "80%",
+        target: "60%",
+        contextWindow: 0,
+    },
+    nudge: {
+        enabled: false,
+        role: "system",
+        minTokens: 20000,
+        everyToolCalls: 0,
+        maxEntries: 50,
+        template:
+            "<dcp-context-nudge>\nPrunable tool output: {count} entries, ~{tokens} tokens. Once the current step is done, remove noise with dcp_prune or keep the essentials with dcp_distill, using these IDs (#id tool tokens):\n{inventory}\n</dcp-context-nudge>",
+    },
+    strategies: {
+        deduplication: {
+            enabled: true,
+            protectedTools: [],
+        },
+        supersedeWrites: {
+            enabled: true,
+        },
+        purgeErrors: {
+            enabled: true,
+            turns: 4,
+            protectedTools: [],
+        },
+    },
 })
 
 /** @param {unknown} raw */
@@ -12,25 +93,445 @@ export function normalizeConfig(raw) {
     const value = raw && typeof raw === "object" ? raw : {}
     const v = /** @type {Record<string, unknown>} */ (value)
 
+    const turnProtectionRaw =
+        v.turnProtection && typeof v.turnProtection === "object" ? v.turnProtection : {}
+    const turnProtection = /** @type {Record<string, unknown>} */ (turnProtectionRaw)
+
     const commandsRaw = v.commands && typeof v.commands === "object" ? v.commands : {}
     const commands = /** @type {Record<string, unknown>} */ (commandsRaw)
 
+    const reloadRaw = v.reload && typeof v.reload === "object" ? v.reload : {}
+    const reload = /** @type {Record<string, unknown>} */ (reloadRaw)
+
+    const persistenceRaw = v.persistence && typeof v.persistence === "object" ? v.persistence : {}
+    const persistence = /** @type {Record<string, unknown>} */ (persistenceRaw)
+
+    const sessionsRaw = v.sessions && typeof v.sessions === "object" ? v.sessions : {}
+    const sessions = /** @type {Record<string, unknown>} */ (sessionsRaw)
+
+    const distillationRaw =
+        v.distillation && typeof v.distillation === "object" ? v.distillation : {}
+    const distillation = /** @type {Record<string, unknown>} */ (distillationRaw)
+
+    const placeholdersRaw =
+        v.placeholders && typeof v.placeholders === "object" ? v.placeholders : {}
+    const placeholders = /** @type {Record<string, unknown>} */ (placeholdersRaw)
+
+    const truncationRaw = v.truncation && typeof v.truncation === "object" ? v.truncation : {}
+    const truncation = /** @type {Record<string, unknown>} */ (truncationRaw)
+
+    const contentRaw = v.content && typeof v.content === "object" ? v.content : {}
+    const content = /** @type {Record<string, unknown>} */ (contentRaw)
+
+    const pairingRaw = v.pairing && typeof v.pairing === "object" ? v.pairing : {}
+    const pairing = /** @type {Record<string, unknown>} */ (pairingRaw)
+
+    const budgetRaw = v.budget && typeof v.budget === "object" ? v.budget : {}
+    const budget = /** @type {Record<string, unknown>} */ (budgetRaw)
+
+    const nudgeRaw = v.nudge && typeof v.nudge === "object" ? v.nudge : {}
+    const nudge = /** @type {Record<string, unknown>} */ (nudgeRaw)
+
+    const strategiesRaw = v.strategies && typeof v.strategies === "object" ? v.strategies : {}
+    const strategies = /** @type {Record<string, unknown>} */ (strategiesRaw)
+    const deduplicationRaw =
+        strategies.deduplication && typeof strategies.deduplication === "object"
+            ? strategies.deduplication
+            : {}
+    const deduplication = /** @type {Record<string, unknown>} */ (deduplicationRaw)
+    const supersedeWritesRaw =
+        strategies.supersedeWrites && typeof strategies.supersedeWrites === "object"
+            ? strategies.supersedeWrites
+            : {}
+    const supersedeWrites = /** @type {Record<string, unknown>} */ (supersedeWritesRaw)
+    const purgeErrorsRaw =
+        strategies.purgeErrors && typeof strategies.purgeErrors === "object"
+            ? strategies.purgeErrors
+            : {}
+    const purgeErrors = /** @type {Record<string, unknown>} */ (purgeErrorsRaw)
+
     return {
         enabled: typeof v.enabled === "boolean" ? v.enabled : DEFAULT_CONFIG.enabled,
         protectedTools: asStringArray(v.protectedTools),
         protectedFilePatterns: asStringArray(v.protectedFilePatterns),
+        protectedContentPatterns: asStringArray(v.protectedContentPatterns),
+        turnProtection: {
+            enabled:
+                typeof turnProtection.enabled === "boolean"
+                    ? turnProtection.enabled
+                    : DEFAULT_CONFIG.turnProtection.enabled,
+            turns: asPositiveInteger(turnProtection.turns, DEFAULT_CONFIG.turnProtection.turns),
+        },
+        tokenizer:
+            typeof v.tokenizer === "string" && v.tokenizer.length > 0
+                ? v.tokenizer
+                : DEFAULT_CONFIG.tokenizer,
         commands: {
             enabled:
                 typeof commands.enabled === "boolean"
                     ? commands.enabled
                     : DEFAULT_CONFIG.commands.enabled,
         },
+        reload: {
+            configFile:
+                typeof reload.configFile === "string"
+                    ? reload.configFile
+                    : DEFAULT_CONFIG.reload.configFile,
+            intervalMs: asPositiveInteger(reload.intervalMs, DEFAULT_CONFIG.reload.intervalMs),
+        },
+        persistence: {
+            enabled:
+                typeof persistence.enabled === "boolean"
+                    ? persistence.enabled
+                    : DEFAULT_CONFIG.persistence.enabled,
+            directory:
+                typeof persistence.directory === "string"
+                    ? persistence.directory
+                    : DEFAULT_CONFIG.persistence.directory,
+        },
+        sessions: {
+            maxSessions: asPositiveInteger(
+                sessions.maxSessions,
+                DEFAULT_CONFIG.sessions.maxSessions,
+            ),
+        },
+        distillation: {
+            template:
+                typeof distillation.template === "string" && distillation.template.length > 0
+                    ? distillation.template
+                    : DEFAULT_CONFIG.distillation.template,
+            combineConsecutive:
+                typeof distillation.combineConsecutive === "boolean"
+                    ? distillation.combineConsecutive
+                    : DEFAULT_CONFIG.distillation.combineConsecutive,
+        },
+        placeholders: {
+            template:
+                asPlaceholderTemplate(placeholders.template) ??
+                DEFAULT_CONFIG.placeholders.template,
+            byReason: {
+                ...DEFAULT_CONFIG.placeholders.byReason,
+                ...asPlaceholderTemplates(placeholders.byReason),
+            },
+            byTool: asPlaceholderTemplates(placeholders.byTool, true),
+            dropMessages:
+                typeof placeholders.dropMessages === "boolean"
+                    ? placeholders.dropMessages
+                    : DEFAULT_CONFIG.placeholders.dropMessages,
+        },
+        truncation: {
+            headLines: asNonNegativeInteger(
+                truncation.headLines,
+                DEFAULT_CONFIG.truncation.headLines,
+            ),
+            tailLines: asNonNegativeInteger(
+                truncation.tailLines,
+                DEFAULT_CONFIG.truncation.tailLines,
+            ),
+            keepPatterns: asStringArray(truncation.keepPatterns),
+        },
+        content: {
+            imageTokens: asPositiveInteger(content.imageTokens, DEFAULT_CONFIG.content.imageTokens),
+        },
+        pairing: {
+            stripCallInputs:
+                typeof pairing.stripCallInputs === "boolean"
+                    ? pairing.stripCallInputs
+                    : DEFAULT_CONFIG.pairing.stripCallInputs,
+        },
+        budget: {
+            enabled:
+                typeof budget.enabled === "boolean"
+                    ? budget.enabled
+                    : DEFAULT_CONFIG.budget.enabled,
+            limit: asTokenLimit(budget.limit, DEFAULT_CONFIG.budget.limit),
+            target: asTokenLimit(budget.target, DEFAULT_CONFIG.budget.target),
+            contextWindow: asPositiveInteger(
+                budget.contextWindow,
+                DEFAULT_CONFIG.budget.contextWindow,
+            ),
+        },
+        nudge: {
+            enabled:
+                typeof nudge.enabled === "boolean" ? nudge.enabled : DEFAULT_CONFIG.nudge.enabled,
+            role:
+                nudge.role === "system" || nudge.role === "assistant" || nudge.role === "user"
+                    ? nudge.role
+                    : DEFAULT_CONFIG.nudge.role,
+            minTokens: asNonNegativeInteger(nudge.minTokens, DEFAULT_CONFIG.nudge.minTokens),
+            everyToolCalls: asNonNegativeInteger(
+                nudge.everyToolCalls,
+                DEFAULT_CONFIG.nudge.everyToolCalls,
+            ),
+            maxEntries: asPositiveInteger(nudge.maxEntries, DEFAULT_CONFIG.nudge.maxEntries),
+            template:
+                typeof nudge.template === "string" && nudge.template.length > 0
+                    ? nudge.template
+                    : DEFAULT_CONFIG.nudge.template,
+        },
+        strategies: {
+            deduplication: {
+                enabled:
+                    typeof deduplication.enabled === "boolean"
+                        ? deduplication.enabled
+                        : DEFAULT_CONFIG.strategies.deduplication.enabled,
+                protectedTools: asStringArray(deduplication.protectedTools),
+            },
+            supersedeWrites: {
+                enabled:
+                    typeof supersedeWrites.enabled === "boolean"
+                        ? supersedeWrites.enabled
+                        : DEFAULT_CONFIG.strategies.supersedeWrites.enabled,
+            },
+            purgeErrors: {
+                enabled:
+                    typeof purgeErrors.enabled === "boolean"
+                        ? purgeErrors.enabled
+                        : DEFAULT_CONFIG.strategies.purgeErrors.enabled,
+                turns: asPositiveInteger(
+                    purgeErrors.turns,
+                    DEFAULT_CONFIG.strategies.purgeErrors.turns,
+                ),
+                protectedTools: asStringArray(purgeErrors.protectedTools),
+            },
+        },
     }
 }
 
+/** Settings that apply to the whole extension and cannot be set per session. */
+const EXTENSION_WIDE_KEYS = ["enabled", "commands", "reload", "persistence", "sessions"]
+
+/**
+ * Merges raw config layers, lowest first, and normalizes the result. `sources`
+ * names the layer each effective setting comes from: the last layer that sets
+ * it to a value `normalizeConfig` accepts, or `default`.
+ *
+ * @param {import("./types.js").ConfigLayer[]} layers
+ */
+export function resolveConfigLayers(layers) {
+    const raw = layers.reduce((merged, layer) => mergeConfig(merged, layer.raw), {})
+    const config = normalizeConfig(raw)
+
+    /** @type {Record<string, string>} */
+    const sources = {}
+    for (const [key] of flattenConfig(config)) {
+        const layer = layers.findLast((item) => {
+            const value = readConfigValue(item.raw, key)
+            return value !== undefined && isAcceptedValue(key, value)
+        })
+        sources[key] = layer ? layer.name : "default"
+    }
+    return {
+        raw,
+        config,
+        sources,
+    }
+}
+
+/**
+ * Value at a dotted path of a raw config, or undefined.
+ *
+ * @param {unknown} raw
+ * @param {string} key
+ */
+export function readConfigValue(raw, key) {
+    return key.split(".").reduce((value, name) => {
+        return isPlainObject(value) && Object.hasOwn(value, name) ? value[name] : undefined
+    }, raw)
+}
+
+/**
+ * Copy of a raw config with the dotted path set to `value`, or removed when
+ * `value` is undefined. Sections left empty by a removal are removed too.
+ *
+ * @param {unknown} raw
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {Record<string, unknown>}
+ */
+export function writeConfigValue(raw, key, value) {
+    const [name, ...rest] = key.split(".")
+    const base = isPlainObject(raw) ? { ...raw } : {}
+    const next = rest.length > 0 ? writeConfigValue(base[name], rest.join("."), value) : value
+    if (next === undefined || (rest.length > 0 && Object.keys(next).length === 0)) {
+        delete base[name]
+    } else {
+        base[name] = next
+    }
+    return base
+}
+
+/**
+ * Copy of a raw config without the extension-wide sections, and the names of
+ * the sections it left out. Layers that come from a workspace, not from the
+ * host, must not decide where state is written or whether the extension runs.
+ *
+ * @param {Record<string, unknown>} raw
+ */
+export function omitExtensionWideKeys(raw) {
+    const kept = { ...raw }
+    const omitted = EXTENSION_WIDE_KEYS.filter((key) => Object.hasOwn(kept, key))
+    for (const key of omitted) {
+        delete kept[key]
+    }
+    return {
+        raw: kept,
+        omitted,
+    }
+}
+
+/**
+ * Whether a dotted setting may be overridden per session. Extension-wide
+ * settings such as `persistence` are shared by every session.
+ *
+ * @param {string} key
+ */
+export function isSessionSetting(key) {
+    const section = key.split(".")[0]
+    return !EXTENSION_WIDE_KEYS.includes(section)
+}
+
+/**
+ * Deep merge of two raw configs: nested objects merge key by key, any other
+ * value in `override` replaces the one in `base`.
+ *
+ * @param {unknown} base
+ * @param {unknown} override
+ * @returns {unknown}
+ */
+export function mergeConfig(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override
+    }
+    const merged = { ...base }
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = mergeConfig(base[key], value)
+    }
+    return merged
+}
+
+/**
+ * `[key, value]` pairs for every setting, keyed by dotted path. Empty objects
+ * such as `placeholders.byTool` are kept as one value.
+ *
+ * @param {Record<string, unknown>} config
+ * @param {string} [prefix]
+ * @returns {[string, unknown][]}
+ */
+export function flattenConfig(config, prefix = "") {
+    return Object.entries(config).flatMap(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name
+        return isPlainObject(value) && Object.keys(value).length > 0
+            ? flattenConfig(value, key)
+            : [[key, value]]
+    })
+}
+
+/**
+ * Whether `normalizeConfig` keeps the value as written rather than falling
+ * back to the default.
+ *
+ * @param {string} key
+ * @param {unknown} value
+ */
+function isAcceptedValue(key, value) {
+    const normalized = readConfigValue(normalizeConfig(writeConfigValue({}, key, value)), key)
+    return JSON.stringify(normalized) === JSON.stringify(value)
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+}
+
 function asStringArray(value) {
     if (!Array.isArray(value)) {
         return []
     }
     return value.filter((item) => typeof item === "string" && item.length > 0)
 }
+
+/**
+ * @param {unknown} value
+ * @param {number} fallback
+ */
+function asPositiveInteger(value, fallback) {
+    return typeof value === "number" && Number.isInteger(value) && value > 0 ? value : fallback
+}
+
+/**
+ * Like `asPositiveInteger`, but 0 is allowed (e.g. keep no tail lines, or
+ * turn a nudge trigger off).
+ *
+ * @param {unknown} value
+ * @param {number} fallback
+ */
+function asNonNegativeInteger(value, fallback) {
+    return typeof value === "number" && Number.isInteger(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * A placeholder template is valid when it is a non-empty string that only uses
+ * known variables; a typo such as `{tool}` would otherwise reach the model
+ * verbatim.
+ *
+ * @param {unknown} value
+ * @returns {string | undefined}
+ */
+function asPlaceholderTemplate(value) {
+    if (typeof value !== "string" || value.length === 0) {
+        return undefined
+    }
+    return unknownPlaceholderVariables(value).length === 0 ? value : undefined
+}
+
+/**
+ * Variables in a placeholder template that `renderPlaceholder` does not fill.
+ *
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function unknownPlaceholderVariables(template) {
+    const names = [...template.matchAll(/\{(\w+)\}/g)].map((match) => match[1])
+    return [...new Set(names.filter((name) => !PLACEHOLDER_VARIABLES.has(name)))]
+}
+
+/**
+ * Valid templates of a `{ key: template }` map; invalid entries are dropped.
+ *
+ * @param {unknown} value
+ * @param {boolean} [lowerCaseKeys] tool names match case-insensitively
+ * @returns {Record<string, string>}
+ */
+function asPlaceholderTemplates(value, lowerCaseKeys = false) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return {}
+    }
+    const templates = {}
+    for (const [key, raw] of Object.entries(value)) {
+        const template = asPlaceholderTemplate(raw)
+        if (key.length > 0 && template) {
+            templates[lowerCaseKeys ? key.toLowerCase() : key] = template
+        }
+    }
+    return templates
+}
+
+/**
+ * Token limits are absolute token counts or a percentage of the model window.
+ *
+ * @param {unknown} value
+ * @param {number | string} fallback
+ */
+function asTokenLimit(value, fallback) {
+    if (typeof value === "number" && Number.isFinite(value) && value > 0) {
+        return Math.floor(value)
+    }
+    if (typeof value === "string" && /^\d+(\.\d+)?%$/.test(value.trim())) {
+        return value.trim()
+    }
+    return fallback
+}
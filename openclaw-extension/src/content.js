@@ -0,0 +1,222 @@
+/**
+ * Content-block handling for hosts whose message `content` is an array of
+ * typed blocks (`text`, `image`, `tool_result`, `tool_use`, ...).
+ *
+ * `text`, `tool_result` and `image` blocks are prunable. Other blocks, e.g.
+ * `tool_use` or `thinking`, carry protocol state and are always left intact.
+ * Images have no text to count, so each one costs a fixed number of tokens.
+ */
+
+import { countMessageTokens } from "./tokenizer.js"
+
+const PRUNABLE_BLOCK_TYPES = new Set(["text", "tool_result", "image"])
+
+/**
+ * @param {unknown} block
+ * @returns {block is import("./types.js").ContentBlock}
+ */
+export function isContentBlock(block) {
+    return Boolean(block) && typeof block === "object" && typeof block.type === "string"
+}
+
+/** @param {unknown} block */
+export function isPrunableBlock(block) {
+    return isContentBlock(block) && PRUNABLE_BLOCK_TYPES.has(block.type)
+}
+
+/**
+ * Text the model actually sees for a message's content. Text blocks contribute
+ * their text and tool results their nested content; images contribute nothing
+ * and other values are serialized.
+ *
+ * @param {unknown} value
+ */
+export function contentText(value) {
+    if (typeof value === "string") {
+        return value
+    }
+    if (value == null) {
+        return ""
+    }
+    if (Array.isArray(value)) {
+        return value
+            .filter((item) => !isContentBlock(item) || item.type !== "image")
+            .map((item) => contentText(item))
+            .join("\n")
+    }
+    if (isContentBlock(value) && value.type === "tool_result") {
+        return contentText(value.content)
+    }
+    if (typeof value === "object" && typeof value.text === "string") {
+        return value.text
+    }
+    try {
+        return JSON.stringify(value) ?? ""
+    } catch {
+        return ""
+    }
+}
+
+/**
+ * Image blocks in the content, including images nested in tool results.
+ *
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function countImages(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((total, item) => total + countImages(item), 0)
+    }
+    if (!isContentBlock(value)) {
+        return 0
+    }
+    if (value.type === "image") {
+        return 1
+    }
+    return value.type === "tool_result" ? countImages(value.content) : 0
+}
+
+/**
+ * Chars and tokens of message content. Text is counted with the tokenizer
+ * (cached per message when `messageID` is given); each image adds `imageTokens`.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {string | undefined} messageID
+ * @param {unknown} content
+ * @param {import("./types.js").Tokenizer} tokenizer
+ * @param {number} imageTokens
+ */
+export function measureContent(state, messageID, content, tokenizer, imageTokens) {
+    const text = contentText(content)
+    return {
+        chars: text.length,
+        tokens:
+            countMessageTokens(state, messageID, text, tokenizer) +
+            countImages(content) * imageTokens,
+    }
+}
+
+/**
+ * The part of the content a full prune removes: the prunable blocks of a
+ * block array, or the whole value otherwise.
+ *
+ * @param {unknown} content
+ */
+export function prunableContent(content) {
+    return Array.isArray(content) ? content.filter((block) => isPrunableBlock(block)) : content
+}
+
+/**
+ * Replaces prunable content with `text` while keeping block types. The first
+ * prunable block carries `text`; later tool results carry `placeholder`, since
+ * each pairs with a tool call, and later text and image blocks are dropped.
+ * Non-prunable blocks are kept as they are; non-array content becomes `text`.
+ *
+ * @param {unknown} content
+ * @param {string} text
+ * @param {string} [placeholder]
+ */
+export function replaceContent(content, text, placeholder = text) {
+    if (!Array.isArray(content)) {
+        return text
+    }
+
+    let replaced = false
+    return content.flatMap((block) => {
+        if (!isPrunableBlock(block)) {
+            return [block]
+        }
+        if (replaced && block.type !== "tool_result") {
+            return []
+        }
+        const value = replaced ? placeholder : text
+        replaced = true
+        return [withBlockText(block, value)]
+    })
+}
+
+/**
+ * Replaces the prunable blocks at `indexes` with `placeholder`, keeping every
+ * other block and the block order.
+ *
+ * @param {unknown} content
+ * @param {number[]} indexes
+ * @param {string} placeholder
+ */
+export function replaceBlocks(content, indexes, placeholder) {
+    if (!Array.isArray(content)) {
+        return content
+    }
+    const selected = new Set(indexes)
+    return content.map((block, index) => {
+        return selected.has(index) && isPrunableBlock(block)
+            ? withBlockText(block, placeholder)
+            : block
+    })
+}
+
+/**
+ * Applies `transform` to each piece of text in the content: a string, text
+ * blocks and the text of tool results. Other blocks are left untouched.
+ *
+ * @param {unknown} content
+ * @param {(text: string) => string} transform
+ * @returns {unknown}
+ */
+export function mapContentText(content, transform) {
+    if (typeof content === "string") {
+        return transform(content)
+    }
+    if (!Array.isArray(content)) {
+        return content
+    }
+    return content.map((block) => {
+        if (!isContentBlock(block)) {
+            return block
+        }
+        if (block.type === "text" && typeof block.text === "string") {
+            return { ...block, text: transform(block.text) }
+        }
+        if (block.type === "tool_result") {
+            return { ...block, content: mapContentText(block.content, transform) }
+        }
+        return block
+    })
+}
+
+/**
+ * Joins two contents, as strings when both are strings and as one block array
+ * otherwise.
+ *
+ * @param {unknown} first
+ * @param {unknown} second
+ */
+export function appendContent(first, second) {
+    if (typeof first === "string" && typeof second === "string") {
+        return `${first}\n\n${second}`
+    }
+    return [...toBlocks(first), ...toBlocks(second)]
+}
+
+/** @param {unknown} content */
+function toBlocks(content) {
+    if (Array.isArray(content)) {
+        return content
+    }
+    return [{ type: "text", text: contentText(content) }]
+}
+
+/**
+ * @param {import("./types.js").ContentBlock} block
+ * @param {string} text
+ */
+function withBlockText(block, text) {
+    if (block.type === "tool_result") {
+        return { ...block, content: text }
+    }
+    if (block.type === "text") {
+        return { ...block, text }
+    }
+    // Images have no text form, so their placeholder becomes a text block
+    return { type: "text", text }
+}
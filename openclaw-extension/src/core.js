@@ -1,36 +1,108 @@
 import { normalizeConfig } from "./config.js"
+import {
+    appendContent,
+    contentText,
+    isContentBlock,
+    isPrunableBlock,
+    mapContentText,
+    measureContent,
+    prunableContent,
+    replaceBlocks,
+    replaceContent,
+} from "./content.js"
+import { collectFilePaths, matchesAnyGlob } from "./glob.js"
+import { readResultCallIDs, repairToolPairs, stripCallInputs, stripInput } from "./pairing.js"
+import { cloneState } from "./state.js"
+import { countMessageTokens, resolveTokenizer } from "./tokenizer.js"
 
-const DEFAULT_PROTECTED_TOOLS = new Set(["dcp_prune", "dcp_distill"])
+const DEFAULT_PROTECTED_TOOLS = new Set(["dcp_prune", "dcp_distill", "dcp_restore", "dcp_compress"])
+const WRITE_TOOLS = new Set(["write", "edit", "multiedit"])
+const READ_TOOLS = new Set(["read"])
+/** Roles a compression summary can keep from its first message. */
+const SUMMARY_ROLES = new Set(["user", "assistant"])
+
+/** @type {Map<string, RegExp | null>} */
+const contentPatternCache = new Map()
 
 /**
+ * Pruned messages render as a placeholder from `placeholders`: the template
+ * for the tool wins over the one for the reason, which wins over the default.
+ * With `placeholders.dropMessages`, pruned messages leave the view instead.
+ *
+ * Distilled messages render their summary through `distillation.template`.
+ * Sources of a multi-message distillation collapse into one summary message at
+ * the position of the first source; the other sources are left out of the view.
+ * Compressed ranges render the same way, as one summary per compression.
+ *
+ * Content-block arrays keep their block types: placeholders and summaries
+ * replace prunable blocks only, and other blocks such as `tool_use` stay intact.
+ *
+ * With `pairing.stripCallInputs`, pruning a tool result also strips the string
+ * arguments of the call it answers. Tool call/result pairs split by the view
+ * are repaired last, see `repairToolPairs`.
+ *
  * @param {import("./types.js").DcpMessage[]} messages
  * @param {import("./types.js").DcpState} state
+ * @param {unknown} [rawConfig]
  */
-export function createTransformedView(messages, state) {
-    return messages.map((message) => {
+export function createTransformedView(messages, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    const groups = collectDistillationGroups(messages, state)
+    const compressionGroups = collectCompressionGroups(messages, state)
+    const turnAges = getTurnAges(messages)
+
+    const view = messages.flatMap((message) => {
         const messageID = message?.id
         if (typeof messageID !== "string") {
             return cloneMessage(message)
         }
 
         const prunedRecord = state.prunedByID.get(messageID)
+        const group = prunedRecord?.distillationID
+            ? groups.get(prunedRecord.distillationID)
+            : undefined
+        const compressionGroup = prunedRecord?.compressionID
+            ? compressionGroups.get(prunedRecord.compressionID)
+            : undefined
+        const anchorID = (group || compressionGroup)?.anchorID
         state.idMap.set(messageID, {
             originalID: messageID,
-            transformedID: messageID,
+            transformedID: anchorID || messageID,
             pruned: Boolean(prunedRecord),
         })
 
+        if (compressionGroup) {
+            return compressionGroup.anchorID === messageID
+                ? createCompressionMessage(compressionGroup)
+                : []
+        }
+
+        if (group) {
+            return group.anchorID === messageID
+                ? createDistillationMessage(message, group, config.distillation.template)
+                : []
+        }
+
         if (!prunedRecord) {
-            return cloneMessage(message)
+            return createPartiallyPrunedMessage(message, state)
         }
 
-        const distillationText = prunedRecord.distillationID
-            ? ` distilled=${prunedRecord.distillationID}`
-            : ""
+        if (config.placeholders.dropMessages) {
+            return []
+        }
 
+        const cloned = cloneMessage(message)
         return {
-            ...cloneMessage(message),
-            content: `[dcp-pruned id=${messageID} reason=${prunedRecord.reason}${distillationText}]`,
+            ...cloned,
+            content: replaceContent(
+                message.content,
+                renderPlaceholder(message, prunedRecord, config, turnAges.get(messageID) ?? 0),
+            ),
+            // Tool messages that carry their own call input lose it like a paired call
+            input:
+                config.pairing.stripCallInputs && cloned.input
+                    ? stripInput(cloned.input, prunedInputPlaceholder(messageID, prunedRecord))
+                    : cloned.input,
             meta: {
                 ...(message.meta || {}),
                 dcp: {
@@ -42,6 +114,14 @@ export function createTransformedView(messages, state) {
             },
         }
     })
+
+    const combined = config.distillation.combineConsecutive
+        ? combineDistilledRuns(view, state)
+        : view
+    const stripped = config.pairing.stripCallInputs
+        ? stripPrunedCallInputs(messages, combined, state)
+        : combined
+    return repairToolPairs(messages, stripped)
 }
 
 /**
@@ -54,11 +134,189 @@ export function createTransformedView(messages, state) {
  */
 export function pruneByIDs(messages, state, rawConfig, messageIDs, reason, distillationID) {
     const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+
+    return applyPruneRecords(messages, state, config, messageIDs, {
+        records: state.prunedByID,
+        // A full prune supersedes earlier truncations and block prunes of the message
+        replaces: [state.truncatedByID, state.prunedBlocksByID],
+        reason,
+        countsMessage: true,
+        build: (message) => {
+            const { chars, tokens } = measureContent(
+                state,
+                message.id,
+                prunableContent(message.content),
+                tokenizer,
+                config.content.imageTokens,
+            )
+            return { chars, tokens, distillationID }
+        },
+    })
+}
+
+/**
+ * Drops only the input arguments of tool messages, keeping their results.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ * @param {string[]} messageIDs
+ * @param {string} reason
+ */
+export function pruneInputsByIDs(messages, state, rawConfig, messageIDs, reason) {
+    const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+
+    return applyPruneRecords(messages, state, config, messageIDs, {
+        records: state.prunedInputsByID,
+        replaces: [],
+        reason,
+        build: (message) => {
+            const text = inputText(message.input)
+            if (!text) {
+                return undefined
+            }
+            return {
+                chars: text.length,
+                tokens: countMessageTokens(state, `${message.id}:input`, text, tokenizer),
+            }
+        },
+    })
+}
+
+/**
+ * Keeps the first `headLines` and last `tailLines` lines of a message plus every
+ * line matching one of `keepPatterns` or containing one of `keepText`, and
+ * elides the rest. Each elided span
+ * renders as a `[dcp-truncated ...]` marker with its line range and size. The
+ * record's `chars` is the number of elided chars; messages that would not get
+ * shorter are skipped.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ * @param {string[]} messageIDs
+ * @param {string} reason
+ * @param {unknown} [overrides] per-call `headLines`, `tailLines` and `keepText`
+ */
+export function truncateByIDs(messages, state, rawConfig, messageIDs, reason, overrides) {
+    const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+    const options = normalizeTruncationOptions(overrides, config.truncation)
+    let elidedChars = 0
+
+    const result = applyPruneRecords(messages, state, config, messageIDs, {
+        records: state.truncatedByID,
+        // Truncating again with other options replaces the earlier record
+        replaces: [state.truncatedByID],
+        reason,
+        build: (message) => {
+            const text = contentText(message.content)
+            const truncated = truncateContent(message.content, options, message.id)
+            const truncatedText = contentText(truncated.content)
+            if (truncatedText.length >= text.length) {
+                return undefined
+            }
+
+            elidedChars += truncated.elidedChars
+            return {
+                chars: truncated.elidedChars,
+                tokens: Math.max(
+                    0,
+                    countMessageTokens(state, message.id, text, tokenizer) -
+                        countMessageTokens(
+                            state,
+                            `${message.id}:truncated`,
+                            truncatedText,
+                            tokenizer,
+                        ),
+                ),
+                truncation: {
+                    headLines: options.headLines,
+                    tailLines: options.tailLines,
+                    keepPatterns: [...options.keepPatterns],
+                    keepText: [...options.keepText],
+                    elidedLines: truncated.elidedLines,
+                },
+            }
+        },
+    })
+
+    return { ...result, elidedChars }
+}
+
+/**
+ * Prunes single blocks of messages whose content is a block array. `targets`
+ * maps message IDs to 0-based block indexes; indexes of blocks that are not
+ * prunable (e.g. `tool_use`) are skipped. Blocks pruned earlier stay pruned.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ * @param {Record<string, number[]>} targets
+ * @param {string} reason
+ */
+export function pruneBlocksByIDs(messages, state, rawConfig, targets, reason) {
+    const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+
+    return applyPruneRecords(messages, state, config, Object.keys(targets), {
+        records: state.prunedBlocksByID,
+        replaces: [state.prunedBlocksByID],
+        reason,
+        build: (message) => {
+            const indexes = targets[message.id]
+            const content = Array.isArray(message.content) ? message.content : []
+            const previousBlocks = state.prunedBlocksByID.get(message.id)?.blocks ?? []
+            const blocks = [...new Set([...previousBlocks, ...indexes])]
+                .filter((index) => isPrunableBlock(content[index]))
+                .sort((a, b) => a - b)
+            if (blocks.length === previousBlocks.length) {
+                return undefined
+            }
+
+            const { chars, tokens } = measureContent(
+                state,
+                `${message.id}:blocks`,
+                blocks.map((index) => content[index]),
+                tokenizer,
+                config.content.imageTokens,
+            )
+            return { chars, tokens, blocks }
+        },
+    })
+}
+
+/**
+ * Shared loop of the prune paths above. Missing messages are reported, fully
+ * pruned ones skipped and protected ones reported with their reason. Messages
+ * that already have a record in `records` are skipped unless `replaces` lists
+ * it. `build` returns the record fields for every other message, or
+ * `undefined` to leave it alone; the records it supersedes are released first.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {string[]} messageIDs
+ * @param {{
+ *     records: Map<string, import("./types.js").PrunedRecord>,
+ *     replaces: Map<string, import("./types.js").PrunedRecord>[],
+ *     reason: string,
+ *     countsMessage?: boolean,
+ *     build: (message: import("./types.js").DcpMessage) => { chars: number, tokens: number } | undefined,
+ * }} options
+ */
+function applyPruneRecords(messages, state, config, messageIDs, options) {
     const messagesByID = new Map(messages.map((message) => [message.id, message]))
+    const turnAges = getTurnAges(messages)
 
     const prunedIDs = []
     const protectedIDs = []
+    const protectedReasons = {}
     const missingIDs = []
+    const at = Date.now()
+    let batch = 0
 
     for (const messageID of messageIDs) {
         const message = messagesByID.get(messageID)
@@ -66,59 +324,106 @@ export function pruneByIDs(messages, state, rawConfig, messageIDs, reason, disti
             missingIDs.push(messageID)
             continue
         }
-        if (state.prunedByID.has(messageID)) {
+        if (
+            state.prunedByID.has(messageID) ||
+            (options.records.has(messageID) && !options.replaces.includes(options.records))
+        ) {
             continue
         }
-        if (isProtectedMessage(message, config)) {
+        const protectionReason = getProtectionReason(message, config, state, turnAges)
+        if (protectionReason) {
             protectedIDs.push(messageID)
+            protectedReasons[messageID] = protectionReason
             continue
         }
 
-        const chars = estimateChars(message.content)
-        state.prunedByID.set(messageID, {
-            reason,
+        const fields = options.build(message)
+        if (!fields) {
+            continue
+        }
+        batch ||= takeBatchID(state)
+        const released = { prunedChars: 0, prunedTokens: 0 }
+        for (const records of options.replaces) {
+            const replaced = records.get(messageID)
+            if (replaced) {
+                records.delete(messageID)
+                releaseCounters(state, replaced, released)
+            }
+        }
+        options.records.set(messageID, {
+            reason: options.reason,
             toolName: message.toolName,
-            chars,
-            at: Date.now(),
-            distillationID,
+            at,
+            batch,
+            distillationID: undefined,
+            ...fields,
         })
 
         prunedIDs.push(messageID)
-        state.counters.prunedMessages += 1
-        state.counters.prunedChars += chars
+        state.restoredIDs.delete(messageID)
+        addCounters(
+            state,
+            {
+                ...(options.countsMessage ? { prunedMessages: 1 } : {}),
+                prunedChars: fields.chars,
+                prunedTokens: fields.tokens,
+            },
+            released,
+        )
     }
 
     return {
         prunedIDs,
         protectedIDs,
+        protectedReasons,
         missingIDs,
     }
 }
 
 /**
+ * Prunes tool messages after the last user message, or across the whole
+ * conversation with `filters.all` / `filters.olderThan`. `limit` keeps the most
+ * recent candidates; `filters.largest` keeps the largest ones instead.
+ *
+ * Turn protection always covers the default window, so with it enabled only
+ * `all` / `olderThan` sweeps find anything.
+ *
  * @param {import("./types.js").DcpMessage[]} messages
  * @param {import("./types.js").DcpState} state
  * @param {unknown} rawConfig
  * @param {number | undefined} limit
+ * @param {unknown} [rawFilters]
  */
-export function sweep(messages, state, rawConfig, limit) {
+export function sweep(messages, state, rawConfig, limit, rawFilters) {
     const config = normalizeConfig(rawConfig)
-    const candidates = collectSweepCandidates(messages, state, config)
+    const filters = normalizeSweepFilters(rawFilters)
+    const window = scanSweepWindow(messages, state, config, filters)
+    const candidates = window.candidates
 
-    const capped =
-        typeof limit === "number" && Number.isFinite(limit) && limit > 0
-            ? candidates.slice(-limit)
-            : candidates
+    let capped = candidates
+    if (filters.largest) {
+        capped = [...candidates]
+            .sort((a, b) => window.tokensByID.get(b) - window.tokensByID.get(a))
+            .slice(0, filters.largest)
+    } else if (typeof limit === "number" && Number.isFinite(limit) && limit > 0) {
+        capped = candidates.slice(-limit)
+    }
 
     const result = pruneByIDs(messages, state, config, capped, "sweep", undefined)
     if (result.prunedIDs.length > 0) {
-        state.counters.sweeps += 1
+        addCounters(state, { sweeps: 1 })
     }
 
     return {
         ...result,
+        protectedIDs: [...Object.keys(window.protectedReasons), ...result.protectedIDs],
+        protectedReasons: { ...window.protectedReasons, ...result.protectedReasons },
         candidateCount: candidates.length,
-        usedLimit: typeof limit === "number" && Number.isFinite(limit) && limit > 0 ? limit : null,
+        usedLimit:
+            !filters.largest && typeof limit === "number" && Number.isFinite(limit) && limit > 0
+                ? limit
+                : null,
+        filters,
     }
 }
 
@@ -126,27 +431,37 @@ export function sweep(messages, state, rawConfig, limit) {
  * @param {import("./types.js").DcpMessage[]} messages
  * @param {import("./types.js").DcpState} state
  * @param {unknown} rawConfig
+ * @param {unknown} [rawFilters]
  */
-export function collectSweepCandidates(messages, state, rawConfig) {
-    const config = normalizeConfig(rawConfig)
-    const startIndex = lastUserIndex(messages)
-    const candidates = []
+export function collectSweepCandidates(messages, state, rawConfig, rawFilters) {
+    return scanSweepWindow(
+        messages,
+        state,
+        normalizeConfig(rawConfig),
+        normalizeSweepFilters(rawFilters),
+    ).candidates
+}
 
-    for (let index = startIndex + 1; index < messages.length; index += 1) {
-        const message = messages[index]
-        if (!isToolLikeMessage(message)) {
-            continue
-        }
-        if (state.prunedByID.has(message.id)) {
-            continue
-        }
-        if (isProtectedMessage(message, config)) {
-            continue
-        }
-        candidates.push(message.id)
-    }
+/**
+ * @param {unknown} raw
+ * @returns {import("./types.js").SweepFilters}
+ */
+export function normalizeSweepFilters(raw) {
+    const value = raw && typeof raw === "object" ? raw : {}
+    const v = /** @type {Record<string, unknown>} */ (value)
+    const tools = Array.isArray(v.tools)
+        ? v.tools
+              .filter((name) => typeof name === "string" && name.length > 0)
+              .map((name) => name.toLowerCase())
+        : []
 
-    return candidates
+    return {
+        tools,
+        minTokens: asCount(v.minTokens),
+        olderThan: asCount(v.olderThan),
+        all: v.all === true,
+        largest: asCount(v.largest),
+    }
 }
 
 /**
@@ -156,6 +471,8 @@ export function collectSweepCandidates(messages, state, rawConfig) {
  */
 export function getPrunableInventory(messages, state, rawConfig) {
     const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+    const turnAges = getTurnAges(messages)
     const entries = []
 
     for (const message of messages) {
@@ -165,21 +482,33 @@ export function getPrunableInventory(messages, state, rawConfig) {
         if (state.prunedByID.has(message.id)) {
             continue
         }
-        if (isProtectedMessage(message, config)) {
+        if (getProtectionReason(message, config, state, turnAges)) {
             continue
         }
 
-        const chars = estimateChars(message.content)
+        // Sizes are what the view shows, after block prunes and truncation
+        const measured = measureContent(
+            state,
+            message.id,
+            createPartiallyPrunedMessage(message, state).content,
+            tokenizer,
+            config.content.imageTokens,
+        )
         entries.push({
             messageID: message.id,
             role: typeof message.role === "string" ? message.role : "",
             toolName: typeof message.toolName === "string" ? message.toolName : "",
-            chars,
-            estimatedTokens: estimateTokens(chars),
+            chars: measured.chars,
+            estimatedTokens: measured.tokens,
+            blockTypes: Array.isArray(message.content)
+                ? message.content.map((block) => (isContentBlock(block) ? block.type : "text"))
+                : undefined,
         })
     }
 
-    const signature = entries.map((entry) => `${entry.messageID}:${entry.chars}`).join("|")
+    const signature = entries
+        .map((entry) => `${entry.messageID}:${entry.chars}:${entry.estimatedTokens}`)
+        .join("|")
     if (
         state.inventory.signature === signature &&
         state.inventory.entries.length === entries.length
@@ -200,6 +529,7 @@ export function getPrunableInventory(messages, state, rawConfig) {
             toolName: entry.toolName,
             chars: entry.chars,
             estimatedTokens: entry.estimatedTokens,
+            ...(entry.blockTypes ? { blockTypes: entry.blockTypes } : {}),
         }
     })
 
@@ -211,6 +541,63 @@ export function getPrunableInventory(messages, state, rawConfig) {
     return inventoryEntries
 }
 
+/**
+ * Total chars and tokens of a message list, counted with the configured tokenizer.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ */
+export function measureMessages(messages, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+    let chars = 0
+    let tokens = 0
+
+    for (const message of messages) {
+        const measured = measureContent(
+            state,
+            message?.id,
+            message?.content,
+            tokenizer,
+            config.content.imageTokens,
+        )
+        chars += measured.chars
+        tokens += measured.tokens
+    }
+
+    return {
+        chars,
+        tokens,
+        tokenizer: tokenizer.name,
+    }
+}
+
+/**
+ * Chars and tokens the transformed view shrinks by going from `before` to
+ * `after`, e.g. a state and its dry-run copy. Building a view records ID
+ * mappings, so `before` is measured through a copy and left untouched.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} before
+ * @param {import("./types.js").DcpState} after
+ * @param {unknown} rawConfig
+ */
+export function measureSavings(messages, before, after, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    const baseline = cloneState(before)
+    const beforeView = measureMessages(
+        createTransformedView(messages, baseline, config),
+        baseline,
+        config,
+    )
+    const afterView = measureMessages(createTransformedView(messages, after, config), after, config)
+    return {
+        chars: beforeView.chars - afterView.chars,
+        tokens: beforeView.tokens - afterView.tokens,
+    }
+}
+
 /**
  * @param {import("./types.js").DcpState} state
  * @param {string[]} ids
@@ -234,6 +621,35 @@ export function resolveInventoryMessageIDs(state, ids) {
     }
 }
 
+/**
+ * Resolves block targets written as `inventoryID.block` (e.g. `3.2` for the
+ * second block of inventory entry 3) to 0-based block indexes per message ID.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {string[]} ids
+ */
+export function resolveInventoryBlockIDs(state, ids) {
+    /** @type {Record<string, number[]>} */
+    const targets = {}
+    const missingIDs = []
+
+    for (const id of ids) {
+        const match = /^#?(\d+)\.(\d+)$/.exec(id)
+        const messageID = match ? state.inventory.numericToMessageID.get(match[1]) : undefined
+        const block = match ? Number.parseInt(match[2], 10) : 0
+        if (!messageID || block < 1) {
+            missingIDs.push(id)
+            continue
+        }
+        targets[messageID] = [...(targets[messageID] ?? []), block - 1]
+    }
+
+    return {
+        targets,
+        missingIDs,
+    }
+}
+
 /**
  * @param {import("./types.js").DcpMessage[]} messages
  * @param {import("./types.js").DcpState} state
@@ -241,7 +657,7 @@ export function resolveInventoryMessageIDs(state, ids) {
  * @param {string} summary
  */
 export function createDistillation(messages, state, messageIDs, summary) {
-    const id = `dcp-distill-${state.counters.distillations + 1}`
+    const id = nextRecordID(state.distillations, "dcp-distill-", state.counters.distillations)
     const record = {
         id,
         sourceMessageIDs: [...messageIDs],
@@ -250,7 +666,7 @@ export function createDistillation(messages, state, messageIDs, summary) {
     }
 
     state.distillations.push(record)
-    state.counters.distillations += 1
+    addCounters(state, { distillations: 1 })
 
     for (const sourceID of messageIDs) {
         state.distillationBySourceID.set(sourceID, id)
@@ -259,104 +675,1337 @@ export function createDistillation(messages, state, messageIDs, summary) {
     return record
 }
 
-/** @param {import("./types.js").DcpMessage} message */
-function isToolLikeMessage(message) {
-    return message.role === "tool" || typeof message.toolName === "string"
+/**
+ * Restores can remove distillations and compressions, so the counter alone may
+ * reuse a live ID; the next ID continues after the highest one still in use.
+ *
+ * @param {{ id: string }[]} records
+ * @param {string} prefix
+ * @param {number} count
+ */
+function nextRecordID(records, prefix, count) {
+    const highest = records.reduce((highest, record) => {
+        const sequence = record.id.startsWith(prefix)
+            ? Number.parseInt(record.id.slice(prefix.length), 10)
+            : Number.NaN
+        return Number.isFinite(sequence) ? Math.max(highest, sequence) : highest
+    }, count)
+    return `${prefix}${highest + 1}`
 }
 
 /**
- * @param {import("./types.js").DcpMessage} message
- * @param {import("./types.js").ExtensionConfig} config
+ * Replaces the conversation span between the messages containing `startString`
+ * and `endString` - user and assistant turns as well as tool output - with one
+ * summary. Boundaries are matched against the transformed view and must be
+ * unique; a boundary inside an earlier compression summary extends the range to
+ * that compression, which is then replaced. Protected messages stay visible.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ * @param {{ startString: string, endString: string, summary: string, topic: string }} options
  */
-export function isProtectedMessage(message, config) {
-    const toolName = typeof message.toolName === "string" ? message.toolName.toLowerCase() : ""
+export function compressRange(messages, state, rawConfig, options) {
+    const config = normalizeConfig(rawConfig)
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+    const view = createTransformedView(messages, state, config)
 
-    if (DEFAULT_PROTECTED_TOOLS.has(toolName)) {
-        return true
+    const start = findBoundaryMessage(view, options.startString, "startString")
+    if (start.error) {
+        return { error: start.error }
     }
-
-    const protectedTools = new Set(config.protectedTools.map((name) => name.toLowerCase()))
-    if (toolName && protectedTools.has(toolName)) {
-        return true
+    const end = findBoundaryMessage(view, options.endString, "endString")
+    if (end.error) {
+        return { error: end.error }
     }
 
-    const filePath = inferFilePath(message)
-    if (!filePath) {
-        return false
+    const startIndex = messages.findIndex((message) => {
+        return message?.id === resolveBoundaryID(state, start.message, "start")
+    })
+    const endIndex = messages.findIndex((message) => {
+        return message?.id === resolveBoundaryID(state, end.message, "end")
+    })
+    if (startIndex === -1 || endIndex === -1) {
+        return { error: "boundary matches could not be mapped back to runtime messages" }
+    }
+    if (startIndex > endIndex) {
+        return { error: "startString appears after endString; start must come first" }
     }
-    return config.protectedFilePatterns.some((pattern) => globMatch(filePath, pattern))
-}
 
-/** @param {import("./types.js").DcpMessage[]} messages */
-function lastUserIndex(messages) {
-    for (let index = messages.length - 1; index >= 0; index -= 1) {
-        if (messages[index].role === "user") {
-            return index
+    const id = nextRecordID(state.compressions, "dcp-compress-", state.counters.compressions)
+    const at = Date.now()
+    const turnAges = getTurnAges(messages)
+    let batch = 0
+
+    const prunedIDs = []
+    const protectedIDs = []
+    const protectedReasons = {}
+    for (const message of messages.slice(startIndex, endIndex + 1)) {
+        if (typeof message?.id !== "string") {
+            continue
+        }
+        const protectionReason = getProtectionReason(message, config, state, turnAges)
+        if (protectionReason) {
+            protectedIDs.push(message.id)
+            protectedReasons[message.id] = protectionReason
+            continue
+        }
+        batch ||= takeBatchID(state)
+
+        const released = { prunedChars: 0, prunedTokens: 0 }
+        for (const records of [
+            state.prunedInputsByID,
+            state.truncatedByID,
+            state.prunedBlocksByID,
+        ]) {
+            const partialRecord = records.get(message.id)
+            if (partialRecord) {
+                records.delete(message.id)
+                releaseCounters(state, partialRecord, released)
+            }
         }
+
+        // Already pruned messages move into this compression without recounting
+        const existing = state.prunedByID.get(message.id)
+        if (existing) {
+            state.prunedByID.set(message.id, {
+                ...existing,
+                reason: "compressed",
+                at,
+                batch,
+                distillationID: undefined,
+                compressionID: id,
+            })
+            prunedIDs.push(message.id)
+            continue
+        }
+
+        const { chars, tokens } = measureContent(
+            state,
+            message.id,
+            message.content,
+            tokenizer,
+            config.content.imageTokens,
+        )
+        state.prunedByID.set(message.id, {
+            reason: "compressed",
+            toolName: message.toolName,
+            chars,
+            tokens,
+            at,
+            batch,
+            distillationID: undefined,
+            compressionID: id,
+        })
+        prunedIDs.push(message.id)
+        state.restoredIDs.delete(message.id)
+        addCounters(
+            state,
+            { prunedMessages: 1, prunedChars: chars, prunedTokens: tokens },
+            released,
+        )
     }
-    return -1
-}
 
-/** @param {import("./types.js").DcpMessage} message */
-function inferFilePath(message) {
-    if (typeof message.filePath === "string") {
-        return message.filePath
+    if (prunedIDs.length === 0) {
+        return { error: "every message in the range is protected", protectedIDs, protectedReasons }
+    }
+
+    const record = {
+        id,
+        topic: options.topic,
+        summary: options.summary,
+        messageIDs: prunedIDs,
+        at,
+    }
+    state.compressions.push(record)
+    addCounters(state, { compressions: 1 })
+    const removed = dropOrphanedRecords(state)
+
+    return {
+        compression: record,
+        prunedIDs,
+        protectedIDs,
+        protectedReasons,
+        removedCompressionIDs: removed.compressionIDs,
+        removedDistillationIDs: removed.distillationIDs,
     }
-    const input = message.input
-    if (input && typeof input === "object") {
-        const inObj = /** @type {Record<string, unknown>} */ (input)
-        if (typeof inObj.filePath === "string") {
-            return inObj.filePath
+}
+
+/**
+ * Removes prune records so the original messages reappear in the transformed
+ * view. Counters are decremented and distillations or compressions left without
+ * any pruned source are dropped. Restored IDs are skipped by the automatic strategies.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {string[]} messageIDs
+ */
+export function restoreByIDs(state, messageIDs) {
+    const restoredIDs = []
+    const missingIDs = []
+
+    for (const messageID of messageIDs) {
+        const record = state.prunedByID.get(messageID)
+        const partialRecords = partialRecordMaps(state).filter((records) => {
+            return records.has(messageID)
+        })
+        if (!record && partialRecords.length === 0) {
+            missingIDs.push(messageID)
+            continue
         }
-        if (typeof inObj.path === "string") {
-            return inObj.path
+
+        if (record) {
+            state.prunedByID.delete(messageID)
+            state.counters.prunedMessages = Math.max(0, state.counters.prunedMessages - 1)
+            releaseCounters(state, record)
+        }
+        for (const records of partialRecords) {
+            releaseCounters(state, records.get(messageID))
+            records.delete(messageID)
         }
+        state.restoredIDs.add(messageID)
+        restoredIDs.push(messageID)
+    }
+
+    const removed = dropOrphanedRecords(state)
+
+    return {
+        restoredIDs,
+        missingIDs,
+        removedDistillationIDs: removed.distillationIDs,
+        removedCompressionIDs: removed.compressionIDs,
     }
-    return ""
 }
 
-/** @param {unknown} value */
-function estimateChars(value) {
-    if (typeof value === "string") {
-        return value.length
+/**
+ * Resolves a restore selector: `all` pruned messages, the `last` prune batch,
+ * or a single message ID.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {string} selector
+ */
+export function selectRestoreIDs(state, selector) {
+    const records = [
+        ...state.prunedByID.entries(),
+        ...partialRecordMaps(state).flatMap((records) => [...records.entries()]),
+    ]
+
+    if (selector === "all") {
+        return [...new Set(records.map(([messageID]) => messageID))]
+    }
+    if (selector === "last") {
+        const lastBatch = records.reduce((latest, [, record]) => {
+            return Math.max(latest, record.batch ?? 0)
+        }, 0)
+        return [
+            ...new Set(
+                records
+                    .filter(([, record]) => (record.batch ?? 0) === lastBatch)
+                    .map(([messageID]) => messageID),
+            ),
+        ]
     }
-    if (value == null) {
-        return 0
+    return selector ? [selector] : []
+}
+
+/**
+ * Runs `run` with one batch ID shared by every record it creates, so a tool
+ * call that prunes in several steps is restored by `restore last` as a whole.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {() => T} run
+ * @returns {T}
+ */
+export function withBatch(state, run) {
+    if (state.batch.openID !== 0) {
+        return run()
     }
+    // The ID is only taken once `run` creates a record
+    state.batch.openID = -1
     try {
-        return JSON.stringify(value).length
-    } catch {
-        return 0
+        return run()
+    } finally {
+        state.batch.openID = 0
     }
 }
 
-/** @param {number} chars */
-function estimateTokens(chars) {
-    if (!Number.isFinite(chars) || chars <= 0) {
-        return 0
+/**
+ * Batch IDs increase monotonically per session and are only taken when a call
+ * creates its first record. Outside `withBatch` every such call starts its own
+ * batch.
+ *
+ * @param {import("./types.js").DcpState} state
+ */
+function takeBatchID(state) {
+    if (state.batch.openID > 0) {
+        return state.batch.openID
+    }
+    state.batch.lastID += 1
+    if (state.batch.openID < 0) {
+        state.batch.openID = state.batch.lastID
     }
-    return Math.ceil(chars / 4)
+    return state.batch.lastID
 }
 
-/** @param {import("./types.js").DcpMessage} message */
-function cloneMessage(message) {
+/**
+ * Runs the enabled automatic strategies against the runtime messages.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ */
+export function applyStrategies(messages, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    const prunedIDs = [
+        ...deduplicate(messages, state, config).prunedIDs,
+        ...supersedeWrites(messages, state, config).prunedIDs,
+        ...purgeErrors(messages, state, config).prunedIDs,
+    ]
+
     return {
-        ...message,
-        meta: message.meta ? { ...message.meta } : undefined,
-        input: message.input ? { ...message.input } : undefined,
+        prunedIDs,
     }
 }
 
 /**
- * @param {string} value
- * @param {string} pattern
+ * Deduplication strategy - prunes older tool messages that have identical
+ * tool name and normalized input, keeping only the most recent occurrence.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
  */
-function globMatch(value, pattern) {
-    const escaped = pattern
-        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
-        .replace(/\*\*/g, "::DOUBLE_STAR::")
-        .replace(/\*/g, "[^/]*")
-        .replace(/::DOUBLE_STAR::/g, ".*")
-    const regex = new RegExp(`^${escaped}$`)
-    return regex.test(value)
+export function deduplicate(messages, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    if (!config.strategies.deduplication.enabled) {
+        return { prunedIDs: [], protectedIDs: [], protectedReasons: {}, missingIDs: [] }
+    }
+
+    const protectedTools = new Set(
+        config.strategies.deduplication.protectedTools.map((name) => name.toLowerCase()),
+    )
+    const signatureMap = new Map()
+
+    for (const message of messages) {
+        if (!isToolLikeMessage(message) || typeof message.id !== "string") {
+            continue
+        }
+        if (state.prunedByID.has(message.id)) {
+            continue
+        }
+        // Messages without input carry no signature to compare against
+        if (!message.input || typeof message.input !== "object") {
+            continue
+        }
+        const toolName = typeof message.toolName === "string" ? message.toolName : ""
+        if (protectedTools.has(toolName.toLowerCase())) {
+            continue
+        }
+        if (isProtectedMessage(message, config, state)) {
+            continue
+        }
+
+        const signature = createToolSignature(toolName, message.input)
+        const ids = signatureMap.get(signature) || []
+        ids.push(message.id)
+        signatureMap.set(signature, ids)
+    }
+
+    // Keep only the most recent (last) message in each group
+    const duplicateIDs = []
+    for (const ids of signatureMap.values()) {
+        if (ids.length > 1) {
+            duplicateIDs.push(...ids.slice(0, -1))
+        }
+    }
+
+    return pruneByIDs(
+        messages,
+        state,
+        config,
+        withoutRestored(state, duplicateIDs),
+        "dedupe",
+        undefined,
+    )
+}
+
+/**
+ * Supersede Writes strategy - drops the input of write/edit tool messages once
+ * the same file is read again later, since the read captures the current file.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ */
+export function supersedeWrites(messages, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    if (!config.strategies.supersedeWrites.enabled) {
+        return { prunedIDs: [], protectedIDs: [], protectedReasons: {}, missingIDs: [] }
+    }
+
+    const writesByFile = new Map()
+    const lastReadByFile = new Map()
+
+    messages.forEach((message, index) => {
+        if (!isToolLikeMessage(message) || typeof message.id !== "string") {
+            return
+        }
+        const toolName = typeof message.toolName === "string" ? message.toolName.toLowerCase() : ""
+        const filePath = inferFilePath(message)
+        if (!filePath) {
+            return
+        }
+
+        if (WRITE_TOOLS.has(toolName)) {
+            const writes = writesByFile.get(filePath) || []
+            writes.push({ id: message.id, index })
+            writesByFile.set(filePath, writes)
+        } else if (READ_TOOLS.has(toolName)) {
+            lastReadByFile.set(filePath, index)
+        }
+    })
+
+    const supersededIDs = []
+    for (const [filePath, writes] of writesByFile.entries()) {
+        const lastRead = lastReadByFile.get(filePath)
+        if (lastRead === undefined) {
+            continue
+        }
+        for (const write of writes) {
+            if (write.index < lastRead) {
+                supersededIDs.push(write.id)
+            }
+        }
+    }
+
+    return pruneInputsByIDs(
+        messages,
+        state,
+        config,
+        withoutRestored(state, supersededIDs),
+        "superseded",
+    )
+}
+
+/**
+ * Purge Errors strategy - drops the input of failed tool messages once they are
+ * at least `strategies.purgeErrors.turns` turns old. The error result is kept.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ */
+export function purgeErrors(messages, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    if (!config.strategies.purgeErrors.enabled) {
+        return { prunedIDs: [], protectedIDs: [], protectedReasons: {}, missingIDs: [] }
+    }
+
+    const protectedTools = new Set(
+        config.strategies.purgeErrors.protectedTools.map((name) => name.toLowerCase()),
+    )
+    const turnAges = getTurnAges(messages)
+    const erroredIDs = []
+
+    for (const message of messages) {
+        if (!isToolLikeMessage(message) || typeof message.id !== "string") {
+            continue
+        }
+        if (!isErrorMessage(message)) {
+            continue
+        }
+        const toolName = typeof message.toolName === "string" ? message.toolName.toLowerCase() : ""
+        if (protectedTools.has(toolName)) {
+            continue
+        }
+        if ((turnAges.get(message.id) ?? 0) >= config.strategies.purgeErrors.turns) {
+            erroredIDs.push(message.id)
+        }
+    }
+
+    return pruneInputsByIDs(messages, state, config, withoutRestored(state, erroredIDs), "errored")
+}
+
+/**
+ * Turn age of each message: the number of user messages that follow it.
+ * Messages in the current turn have age 0.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ */
+export function getTurnAges(messages) {
+    const ages = new Map()
+    let userMessagesAfter = 0
+
+    for (let index = messages.length - 1; index >= 0; index -= 1) {
+        const message = messages[index]
+        if (typeof message?.id === "string") {
+            ages.set(message.id, userMessagesAfter)
+        }
+        if (message?.role === "user") {
+            userMessagesAfter += 1
+        }
+    }
+
+    return ages
+}
+
+/**
+ * @param {import("./types.js").DcpState} state
+ * @param {string[]} messageIDs
+ */
+export function withoutRestored(state, messageIDs) {
+    return messageIDs.filter((messageID) => !state.restoredIDs.has(messageID))
+}
+
+/**
+ * Drops distillations and compressions that no longer own a pruned message.
+ *
+ * @param {import("./types.js").DcpState} state
+ */
+function dropOrphanedRecords(state) {
+    const distillationIDs = []
+    state.distillations = state.distillations.filter((distillation) => {
+        const live = distillation.sourceMessageIDs.some((sourceID) => {
+            return state.prunedByID.get(sourceID)?.distillationID === distillation.id
+        })
+        if (live) {
+            return true
+        }
+        distillationIDs.push(distillation.id)
+        state.counters.distillations = Math.max(0, state.counters.distillations - 1)
+        for (const sourceID of distillation.sourceMessageIDs) {
+            if (state.distillationBySourceID.get(sourceID) === distillation.id) {
+                state.distillationBySourceID.delete(sourceID)
+            }
+        }
+        return false
+    })
+
+    const compressionIDs = []
+    state.compressions = state.compressions.filter((compression) => {
+        const live = compression.messageIDs.some((messageID) => {
+            return state.prunedByID.get(messageID)?.compressionID === compression.id
+        })
+        if (live) {
+            return true
+        }
+        compressionIDs.push(compression.id)
+        state.counters.compressions = Math.max(0, state.counters.compressions - 1)
+        return false
+    })
+
+    return {
+        distillationIDs,
+        compressionIDs,
+    }
+}
+
+/**
+ * Adds to the session counters and to the lifetime totals. Restores and
+ * replaced records only take from the counters, so lifetime totals never go
+ * down; a record that replaces others only adds what it prunes beyond the
+ * `released` amounts to them.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {Partial<import("./types.js").DcpCounters>} amounts
+ * @param {Partial<import("./types.js").DcpCounters>} [released]
+ */
+function addCounters(state, amounts, released) {
+    for (const [key, amount] of Object.entries(amounts)) {
+        state.counters[key] += amount
+        state.lifetime[key] += Math.max(0, amount - (released?.[key] ?? 0))
+    }
+}
+
+/**
+ * Takes a record that is restored or replaced out of the session counters,
+ * which track what is pruned right now. Replaced records are summed into
+ * `released` for the `addCounters` call of their replacement.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").PrunedRecord} record
+ * @param {{ prunedChars: number, prunedTokens: number }} [released]
+ */
+export function releaseCounters(state, record, released) {
+    state.counters.prunedChars = Math.max(0, state.counters.prunedChars - record.chars)
+    state.counters.prunedTokens = Math.max(0, state.counters.prunedTokens - (record.tokens ?? 0))
+    if (released) {
+        released.prunedChars += record.chars
+        released.prunedTokens += record.tokens ?? 0
+    }
+}
+
+/** @param {import("./types.js").DcpMessage} message */
+function isErrorMessage(message) {
+    if (message.isError === true || message.status === "error") {
+        return true
+    }
+    const meta = message.meta
+    return Boolean(meta && (meta.isError === true || meta.status === "error"))
+}
+
+/** @param {import("./types.js").DcpMessage} message */
+export function isToolLikeMessage(message) {
+    return message.role === "tool" || typeof message.toolName === "string"
+}
+
+/**
+ * Registers a host predicate that pins messages in every session of the
+ * registry's extension instance. Predicates run for every prune path; a
+ * predicate that throws is treated as not matching. Returns a function that
+ * removes the rule again.
+ *
+ * @param {import("./types.js").DcpRegistry} registry
+ * @param {string} name
+ * @param {(message: import("./types.js").DcpMessage) => boolean} predicate
+ * @returns {() => void}
+ */
+export function registerProtectionRule(registry, name, predicate) {
+    if (!name || typeof predicate !== "function") {
+        throw new Error("openclaw-dcp-extension: protection rule needs a name and a predicate")
+    }
+    registry.protectionRules.set(name, predicate)
+    return () => {
+        if (registry.protectionRules.get(name) === predicate) {
+            registry.protectionRules.delete(name)
+        }
+    }
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {import("./types.js").DcpState} [state]
+ * @param {Map<string, number>} [turnAges]
+ */
+export function isProtectedMessage(message, config, state, turnAges) {
+    return getProtectionReason(message, config, state, turnAges) !== ""
+}
+
+/**
+ * Why a message must not be pruned: `pinned`, `tool`, `turn`, `file` or
+ * `content`; empty when it may be pruned. Explicit pins and host predicates
+ * need `state`, and turn
+ * protection only applies when `turnAges` is passed.
+ *
+ * @param {import("./types.js").DcpMessage} message
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {import("./types.js").DcpState} [state]
+ * @param {Map<string, number>} [turnAges]
+ */
+export function getProtectionReason(message, config, state, turnAges) {
+    if (state?.pinnedIDs.has(message.id) || message.meta?.pin === true) {
+        return "pinned"
+    }
+
+    const toolName = typeof message.toolName === "string" ? message.toolName.toLowerCase() : ""
+
+    if (DEFAULT_PROTECTED_TOOLS.has(toolName)) {
+        return "tool"
+    }
+
+    const protectedTools = new Set(config.protectedTools.map((name) => name.toLowerCase()))
+    if (toolName && protectedTools.has(toolName)) {
+        return "tool"
+    }
+
+    if (
+        turnAges &&
+        config.turnProtection.enabled &&
+        isToolLikeMessage(message) &&
+        (turnAges.get(message.id) ?? 0) < config.turnProtection.turns
+    ) {
+        return "turn"
+    }
+
+    if (matchesAnyGlob(collectFilePaths(message), config.protectedFilePatterns)) {
+        return "file"
+    }
+
+    if (matchesProtectedContent(message, config, state)) {
+        return "content"
+    }
+    return ""
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {import("./types.js").DcpState} [state]
+ */
+function matchesProtectedContent(message, config, state) {
+    if (config.protectedContentPatterns.length > 0) {
+        const text = contentText(message.content)
+        const matched = config.protectedContentPatterns.some((pattern) => {
+            return compileContentPattern(pattern)?.test(text)
+        })
+        if (matched) {
+            return true
+        }
+    }
+
+    for (const predicate of state?.registry.protectionRules.values() ?? []) {
+        try {
+            if (predicate(message)) {
+                return true
+            }
+        } catch {
+            // noop: a failing host predicate must not block pruning
+        }
+    }
+    return false
+}
+
+/**
+ * Compiles `source` or `/source/flags` into a regex; invalid patterns compile
+ * to null and never match.
+ *
+ * @param {string} pattern
+ */
+export function compileContentPattern(pattern) {
+    if (contentPatternCache.has(pattern)) {
+        return contentPatternCache.get(pattern)
+    }
+
+    let regex = null
+    try {
+        const literal = /^\/(.*)\/([dgimsuy]*)$/s.exec(pattern)
+        // Stateful flags would make repeated test() calls alternate
+        regex = literal
+            ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ""))
+            : new RegExp(pattern)
+    } catch {
+        // noop: invalid patterns are ignored
+    }
+    contentPatternCache.set(pattern, regex)
+    return regex
+}
+
+/**
+ * Unpruned tool messages in the sweep window that pass the filters, split into
+ * sweep candidates and protected IDs with their reasons.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {import("./types.js").SweepFilters} filters
+ */
+function scanSweepWindow(messages, state, config, filters) {
+    const tokenizer = resolveTokenizer(config.tokenizer, state.registry)
+    const wholeConversation = filters.all || filters.olderThan > 0
+    const startIndex = wholeConversation ? -1 : lastUserIndex(messages)
+    const turnAges = getTurnAges(messages)
+    const candidates = []
+    const protectedReasons = {}
+    const tokensByID = new Map()
+    // Sizes are only needed to filter by them or to rank the largest
+    const measures = filters.minTokens > 0 || filters.largest > 0
+
+    for (let index = startIndex + 1; index < messages.length; index += 1) {
+        const message = messages[index]
+        if (!isToolLikeMessage(message)) {
+            continue
+        }
+        if (state.prunedByID.has(message.id)) {
+            continue
+        }
+        const toolName = typeof message.toolName === "string" ? message.toolName.toLowerCase() : ""
+        if (filters.tools.length > 0 && !filters.tools.includes(toolName)) {
+            continue
+        }
+        if ((turnAges.get(message.id) ?? 0) < filters.olderThan) {
+            continue
+        }
+        if (measures) {
+            const { tokens } = measureContent(
+                state,
+                message.id,
+                message.content,
+                tokenizer,
+                config.content.imageTokens,
+            )
+            if (tokens < filters.minTokens) {
+                continue
+            }
+            tokensByID.set(message.id, tokens)
+        }
+
+        const protectionReason = getProtectionReason(message, config, state, turnAges)
+        if (protectionReason) {
+            protectedReasons[message.id] = protectionReason
+            continue
+        }
+        candidates.push(message.id)
+    }
+
+    return {
+        candidates,
+        protectedReasons,
+        tokensByID,
+    }
+}
+
+/** @param {unknown} value */
+function asCount(value) {
+    return typeof value === "number" && Number.isInteger(value) && value > 0 ? value : 0
+}
+
+/** @param {import("./types.js").DcpMessage[]} messages */
+function lastUserIndex(messages) {
+    for (let index = messages.length - 1; index >= 0; index -= 1) {
+        if (messages[index].role === "user") {
+            return index
+        }
+    }
+    return -1
+}
+
+/** @param {import("./types.js").DcpMessage} message */
+function inferFilePath(message) {
+    return collectFilePaths(message)[0] || ""
+}
+
+/**
+ * Strips the call inputs of every fully pruned tool result from the view.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpMessage[]} view
+ * @param {import("./types.js").DcpState} state
+ */
+function stripPrunedCallInputs(messages, view, state) {
+    const placeholders = new Map()
+    for (const message of messages) {
+        const record = state.prunedByID.get(message?.id)
+        if (!record) {
+            continue
+        }
+        for (const callID of readResultCallIDs(message)) {
+            placeholders.set(callID, prunedInputPlaceholder(message.id, record))
+        }
+    }
+    if (placeholders.size === 0) {
+        return view
+    }
+    return view.map((message) => stripCallInputs(message, placeholders))
+}
+
+/**
+ * @param {string} messageID
+ * @param {import("./types.js").PrunedRecord} record
+ */
+function prunedInputPlaceholder(messageID, record) {
+    return `[dcp-pruned-input id=${messageID} reason=${record.reason}]`
+}
+
+/**
+ * Records that remove part of a message: its input, some of its blocks, or
+ * the middle of its text.
+ *
+ * @param {import("./types.js").DcpState} state
+ */
+function partialRecordMaps(state) {
+    return [state.prunedInputsByID, state.prunedBlocksByID, state.truncatedByID]
+}
+
+/**
+ * Overrides come from tool input, so they can add literal `keepText` but not
+ * regexes: the view re-truncates from the record on every transform, and a
+ * catastrophic pattern would stall every turn. `keepPatterns` is config-only.
+ *
+ * @param {unknown} raw
+ * @param {import("./types.js").TruncationOptions} defaults
+ * @returns {import("./types.js").TruncationOptions}
+ */
+function normalizeTruncationOptions(raw, defaults) {
+    const value = raw && typeof raw === "object" ? raw : {}
+    const v = /** @type {Record<string, unknown>} */ (value)
+    const isLineCount = (count) =>
+        typeof count === "number" && Number.isInteger(count) && count >= 0
+
+    return {
+        headLines: isLineCount(v.headLines) ? v.headLines : defaults.headLines,
+        tailLines: isLineCount(v.tailLines) ? v.tailLines : defaults.tailLines,
+        keepPatterns: defaults.keepPatterns,
+        keepText: Array.isArray(v.keepText)
+            ? v.keepText.filter((text) => typeof text === "string" && text.length > 0)
+            : [],
+    }
+}
+
+/**
+ * Truncates each piece of text in the content separately, so block arrays keep
+ * their blocks.
+ *
+ * @param {unknown} content
+ * @param {import("./types.js").TruncationOptions} options
+ * @param {string} messageID
+ */
+function truncateContent(content, options, messageID) {
+    let elidedChars = 0
+    let elidedLines = 0
+    const truncated = mapContentText(content, (text) => {
+        const result = truncateText(text, options, messageID)
+        elidedChars += result.elidedChars
+        elidedLines += result.elidedLines
+        return result.text
+    })
+
+    return {
+        content: truncated,
+        elidedChars,
+        elidedLines,
+    }
+}
+
+/**
+ * Replaces each run of elided lines with a marker naming the 1-based line
+ * range and the number of chars left out.
+ *
+ * @param {string} text
+ * @param {import("./types.js").TruncationOptions} options
+ * @param {string} messageID
+ */
+function truncateText(text, options, messageID) {
+    const lines = text.split("\n")
+    const patterns = options.keepPatterns
+        .map((pattern) => compileContentPattern(pattern))
+        .filter((regex) => regex !== null)
+    const keepText = options.keepText ?? []
+    const kept = lines.map((line, index) => {
+        return (
+            index < options.headLines ||
+            index >= lines.length - options.tailLines ||
+            keepText.some((text) => line.includes(text)) ||
+            patterns.some((regex) => regex.test(line))
+        )
+    })
+
+    const output = []
+    let elidedChars = 0
+    let elidedLines = 0
+    for (let index = 0; index < lines.length; ) {
+        if (kept[index]) {
+            output.push(lines[index])
+            index += 1
+            continue
+        }
+        let end = index
+        while (end < lines.length && !kept[end]) {
+            end += 1
+        }
+        const chars = lines.slice(index, end).join("\n").length
+        output.push(`[dcp-truncated id=${messageID} lines=${index + 1}-${end} chars=${chars}]`)
+        elidedChars += chars
+        elidedLines += end - index
+        index = end
+    }
+
+    return {
+        text: output.join("\n"),
+        elidedChars,
+        elidedLines,
+    }
+}
+
+/** @param {unknown} input */
+function inputText(input) {
+    if (!input || typeof input !== "object") {
+        return ""
+    }
+    return Object.values(input)
+        .filter((value) => typeof value === "string")
+        .join("")
+}
+
+/** @param {import("./types.js").DcpMessage} message */
+function cloneMessage(message) {
+    return {
+        ...message,
+        meta: message.meta ? { ...message.meta } : undefined,
+        input: message.input ? { ...message.input } : undefined,
+    }
+}
+
+/**
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ */
+function collectDistillationGroups(messages, state) {
+    const distillationsByID = new Map(state.distillations.map((record) => [record.id, record]))
+    const groups = new Map()
+    if (distillationsByID.size === 0) {
+        return groups
+    }
+
+    for (const message of messages) {
+        const distillationID = state.prunedByID.get(message?.id)?.distillationID
+        const distillation = distillationID ? distillationsByID.get(distillationID) : undefined
+        if (!distillation) {
+            continue
+        }
+        const group = groups.get(distillation.id)
+        if (group) {
+            group.sourceIDs.push(message.id)
+            continue
+        }
+        groups.set(distillation.id, {
+            anchorID: message.id,
+            distillation,
+            sourceIDs: [message.id],
+        })
+    }
+
+    return groups
+}
+
+/**
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} state
+ */
+function collectCompressionGroups(messages, state) {
+    const compressionsByID = new Map(state.compressions.map((record) => [record.id, record]))
+    const groups = new Map()
+    if (compressionsByID.size === 0) {
+        return groups
+    }
+
+    for (const message of messages) {
+        const compressionID = state.prunedByID.get(message?.id)?.compressionID
+        const compression = compressionID ? compressionsByID.get(compressionID) : undefined
+        if (!compression) {
+            continue
+        }
+        const group = groups.get(compression.id)
+        if (group) {
+            group.messageIDs.push(message.id)
+            continue
+        }
+        groups.set(compression.id, {
+            anchorID: message.id,
+            role: message.role,
+            compression,
+            messageIDs: [message.id],
+        })
+    }
+
+    return groups
+}
+
+/**
+ * The summary takes the role of the first compressed message, so the turn
+ * order around it stays as it was. A tool result needs the call it answers,
+ * so a span that starts with one is summarized as a user message instead.
+ *
+ * @param {{ anchorID: string, role: unknown, compression: import("./types.js").CompressionRecord, messageIDs: string[] }} group
+ */
+function createCompressionMessage(group) {
+    const topic = group.compression.topic ? ` topic=${group.compression.topic}` : ""
+    return {
+        id: group.anchorID,
+        role: SUMMARY_ROLES.has(group.role) ? group.role : "user",
+        content: `[dcp-compressed id=${group.compression.id} messages=${group.messageIDs.length}${topic}]\n${group.compression.summary}`,
+        meta: {
+            dcp: {
+                pruned: true,
+                originalID: group.anchorID,
+                reason: "compressed",
+                compressionID: group.compression.id,
+                compressedMessageIDs: [...group.messageIDs],
+            },
+        },
+    }
+}
+
+/**
+ * Finds the one view message whose visible content contains `needle`. Tool
+ * inputs are not searched, so a path or command repeated in them cannot make
+ * a boundary ambiguous.
+ *
+ * @param {import("./types.js").DcpMessage[]} view
+ * @param {string} needle
+ * @param {string} label
+ */
+function findBoundaryMessage(view, needle, label) {
+    const matches = view.filter((message) => {
+        return contentText(message?.content).includes(needle)
+    })
+    if (matches.length === 0) {
+        return { error: `${label} was not found in the conversation` }
+    }
+    if (matches.length > 1) {
+        return {
+            error: `${label} matches ${matches.length} messages; provide more surrounding text to make it unique`,
+        }
+    }
+    return { message: matches[0] }
+}
+
+/**
+ * A boundary inside a compression summary resolves to the first or last
+ * message of that compression.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").DcpMessage} message
+ * @param {"start" | "end"} side
+ */
+function resolveBoundaryID(state, message, side) {
+    const compressionID = message.meta?.dcp?.compressionID
+    const compression = state.compressions.find((record) => record.id === compressionID)
+    if (!compression) {
+        return message.id
+    }
+    return side === "start"
+        ? compression.messageIDs[0]
+        : compression.messageIDs[compression.messageIDs.length - 1]
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {{ anchorID: string, distillation: import("./types.js").DistillationRecord, sourceIDs: string[] }} group
+ * @param {string} template
+ */
+function createDistillationMessage(message, group, template) {
+    return {
+        ...cloneMessage(message),
+        content: replaceContent(
+            message.content,
+            renderTemplate(template, {
+                id: message.id,
+                distillationID: group.distillation.id,
+                sources: group.sourceIDs.join(","),
+                summary: group.distillation.summary,
+            }),
+            `[dcp-pruned id=${message.id} reason=distilled distilled=${group.distillation.id}]`,
+        ),
+        meta: {
+            ...(message.meta || {}),
+            dcp: {
+                pruned: true,
+                originalID: message.id,
+                reason: "distilled",
+                distillationID: group.distillation.id,
+                sourceMessageIDs: [...group.sourceIDs],
+            },
+        },
+    }
+}
+
+/**
+ * Merges runs of adjacent distillation messages into the first of each run.
+ *
+ * @param {import("./types.js").DcpMessage[]} view
+ * @param {import("./types.js").DcpState} state
+ */
+function combineDistilledRuns(view, state) {
+    const combined = []
+
+    for (const message of view) {
+        const dcp = message?.meta?.dcp
+        const previous = combined[combined.length - 1]
+        const previousDcp = previous?.meta?.dcp
+        if (!dcp?.sourceMessageIDs || !previousDcp?.sourceMessageIDs) {
+            combined.push(message)
+            continue
+        }
+
+        previous.content = appendContent(previous.content, message.content)
+        previous.meta.dcp = {
+            ...previousDcp,
+            distillationIDs: [
+                ...(previousDcp.distillationIDs || [previousDcp.distillationID]),
+                dcp.distillationID,
+            ],
+            sourceMessageIDs: [...previousDcp.sourceMessageIDs, ...dcp.sourceMessageIDs],
+        }
+        for (const sourceID of dcp.sourceMessageIDs) {
+            const mapping = state.idMap.get(sourceID)
+            if (mapping) {
+                mapping.transformedID = previous.id
+            }
+        }
+    }
+
+    return combined
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {import("./types.js").PrunedRecord} record
+ * @param {import("./types.js").ExtensionConfig} config
+ * @param {number} age turns since the message
+ */
+function renderPlaceholder(message, record, config, age) {
+    const { placeholders } = config
+    const toolName =
+        record.toolName || (typeof message.toolName === "string" ? message.toolName : "")
+    const template =
+        ownTemplate(placeholders.byTool, toolName.toLowerCase()) ??
+        ownTemplate(placeholders.byReason, record.reason) ??
+        placeholders.template
+
+    return renderTemplate(template, {
+        id: message.id,
+        toolName,
+        reason: record.reason,
+        chars: record.chars,
+        tokens: record.tokens ?? "",
+        filePath: inferFilePath(message),
+        distillation: record.distillationID ?? "",
+        age,
+    })
+}
+
+/**
+ * Reasons and tool names come from the model, so only own keys count -
+ * `constructor` must not find `Object.prototype.constructor`.
+ *
+ * @param {Record<string, string>} templates
+ * @param {string} key
+ */
+function ownTemplate(templates, key) {
+    return Object.hasOwn(templates, key) ? templates[key] : undefined
+}
+
+/**
+ * Replaces `{name}` placeholders; unknown names are left as-is.
+ *
+ * @param {string} template
+ * @param {Record<string, string | number>} variables
+ */
+export function renderTemplate(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        return Object.hasOwn(variables, name) ? String(variables[name]) : match
+    })
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {import("./types.js").PrunedRecord} record
+ */
+function createInputPrunedMessage(message, record) {
+    const cloned = cloneMessage(message)
+    const input = stripInput(message.input || {}, prunedInputPlaceholder(message.id, record))
+
+    return {
+        ...cloned,
+        input,
+        meta: {
+            ...(message.meta || {}),
+            dcp: {
+                pruned: false,
+                prunedInput: true,
+                originalID: message.id,
+                reason: record.reason,
+            },
+        },
+    }
+}
+
+/**
+ * View message for a message that is not fully pruned: input-pruned, block
+ * pruned and truncated, in that order, where records exist.
+ *
+ * @param {import("./types.js").DcpMessage} message
+ * @param {import("./types.js").DcpState} state
+ */
+function createPartiallyPrunedMessage(message, state) {
+    const inputRecord = state.prunedInputsByID.get(message.id)
+    let visible = inputRecord
+        ? createInputPrunedMessage(message, inputRecord)
+        : cloneMessage(message)
+    const blockRecord = state.prunedBlocksByID.get(message.id)
+    if (blockRecord) {
+        visible = createBlockPrunedMessage(visible, blockRecord)
+    }
+    const truncationRecord = state.truncatedByID.get(message.id)
+    return truncationRecord ? createTruncatedMessage(visible, truncationRecord) : visible
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message the view message, possibly input-pruned
+ * @param {import("./types.js").PrunedRecord} record
+ */
+function createBlockPrunedMessage(message, record) {
+    return {
+        ...message,
+        content: replaceBlocks(
+            message.content,
+            record.blocks ?? [],
+            `[dcp-pruned id=${message.id} reason=${record.reason}]`,
+        ),
+        meta: {
+            ...(message.meta || {}),
+            dcp: {
+                ...(message.meta?.dcp || {}),
+                pruned: false,
+                prunedBlocks: [...(record.blocks ?? [])],
+                originalID: message.id,
+                reason: record.reason,
+            },
+        },
+    }
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message the view message, possibly input- or block-pruned
+ * @param {import("./types.js").PrunedRecord} record
+ */
+function createTruncatedMessage(message, record) {
+    if (!record.truncation) {
+        return message
+    }
+    const truncated = truncateContent(message.content, record.truncation, message.id)
+
+    return {
+        ...message,
+        content: truncated.content,
+        meta: {
+            ...(message.meta || {}),
+            dcp: {
+                ...(message.meta?.dcp || {}),
+                pruned: false,
+                truncated: true,
+                originalID: message.id,
+                reason: record.reason,
+                elidedChars: truncated.elidedChars,
+                elidedLines: truncated.elidedLines,
+            },
+        },
+    }
+}
+
+/**
+ * @param {string} toolName
+ * @param {Record<string, unknown>} input
+ */
+function createToolSignature(toolName, input) {
+    return `${toolName}::${JSON.stringify(sortObjectKeys(normalizeInput(input)))}`
+}
+
+/** @param {Record<string, unknown>} input */
+function normalizeInput(input) {
+    if (Array.isArray(input)) {
+        return input
+    }
+    const normalized = {}
+    for (const [key, value] of Object.entries(input)) {
+        if (value !== undefined && value !== null) {
+            normalized[key] = value
+        }
+    }
+    return normalized
+}
+
+/** @param {unknown} value */
+function sortObjectKeys(value) {
+    if (typeof value !== "object" || value === null) {
+        return value
+    }
+    if (Array.isArray(value)) {
+        return value.map(sortObjectKeys)
+    }
+    const sorted = {}
+    for (const key of Object.keys(value).sort()) {
+        sorted[key] = sortObjectKeys(value[key])
+    }
+    return sorted
 }
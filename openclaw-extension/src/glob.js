@@ -0,0 +1,333 @@
+/**
+ * Glob matching for `protectedFilePatterns` and file path extraction from
+ * tool inputs.
+ *
+ * Supported syntax: `*`, `**`, `?`, character classes (`[abc]`, `[a-z]`,
+ * `[!abc]`), braces (`{a,b}`, nested), and `!pattern` negation in pattern
+ * lists. Patterns starting with `/` (or a drive letter) are anchored at the
+ * filesystem root; other patterns match at any directory depth. A pattern that
+ * matches a directory protects everything inside it; a trailing `/` restricts
+ * the pattern to directories.
+ */
+
+import { posix } from "node:path"
+
+const MAX_CACHE_ENTRIES = 500
+
+/** @type {Map<string, RegExp[]>} */
+const compiledCache = new Map()
+
+/**
+ * Tests paths against an ordered pattern list. The last matching pattern wins,
+ * so a later `!pattern` un-protects paths matched by an earlier one.
+ *
+ * @param {string[]} paths
+ * @param {string[]} patterns
+ */
+export function matchesAnyGlob(paths, patterns) {
+    if (paths.length === 0 || patterns.length === 0) {
+        return false
+    }
+    return paths.some((path) => {
+        let matched = false
+        for (const pattern of patterns) {
+            const negated = pattern.startsWith("!")
+            if (matchesGlob(path, negated ? pattern.slice(1) : pattern)) {
+                matched = !negated
+            }
+        }
+        return matched
+    })
+}
+
+/**
+ * @param {string} path
+ * @param {string} pattern
+ */
+export function matchesGlob(path, pattern) {
+    if (!path || !pattern) {
+        return false
+    }
+
+    const normalized = normalizeSlashes(path).replace(/\/+$/, "")
+    const directoryOnly = pattern.endsWith("/")
+    const regexes = compileGlob(directoryOnly ? pattern.replace(/\/+$/, "") : pattern)
+
+    // The path itself, then each parent directory, so directory patterns cover their contents
+    const candidates = directoryOnly ? [] : [normalized]
+    for (let index = normalized.lastIndexOf("/"); index > 0; ) {
+        candidates.push(normalized.slice(0, index))
+        index = normalized.lastIndexOf("/", index - 1)
+    }
+
+    return candidates.some((candidate) => regexes.some((regex) => regex.test(candidate)))
+}
+
+/**
+ * Compiles a glob (without `!`) into one regex per brace expansion.
+ *
+ * @param {string} pattern
+ * @returns {RegExp[]}
+ */
+export function compileGlob(pattern) {
+    const cached = compiledCache.get(pattern)
+    if (cached) {
+        return cached
+    }
+
+    // Backslashes in patterns are escapes; only paths have their separators normalized
+    const regexes = expandBraces(pattern).map((expanded) => {
+        const anchored = isAbsolutePath(expanded)
+        const body = globToRegexSource(expanded)
+        return new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`)
+    })
+
+    compiledCache.set(pattern, regexes)
+    if (compiledCache.size > MAX_CACHE_ENTRIES) {
+        compiledCache.delete(compiledCache.keys().next().value)
+    }
+    return regexes
+}
+
+/**
+ * Why a pattern is likely a mistake, or undefined when it looks fine. The
+ * matcher itself never fails: unbalanced braces and unclosed classes are taken
+ * literally, which rarely is what the author meant.
+ *
+ * @param {string} pattern
+ * @returns {string | undefined}
+ */
+export function findGlobError(pattern) {
+    const body = pattern.startsWith("!") ? pattern.slice(1) : pattern
+    if (body.length === 0) {
+        return "empty pattern"
+    }
+
+    let depth = 0
+    for (let index = 0; index < body.length; index += 1) {
+        const char = body[index]
+        if (char === "\\") {
+            index += 1
+        } else if (char === "{") {
+            depth += 1
+        } else if (char === "}") {
+            depth -= 1
+            if (depth < 0) {
+                return "unbalanced braces"
+            }
+        } else if (char === "[" && body.indexOf("]", index + 2) === -1) {
+            return "unclosed character class"
+        }
+    }
+    if (depth !== 0) {
+        return "unbalanced braces"
+    }
+
+    try {
+        compileGlob(body)
+    } catch (error) {
+        return error instanceof Error ? error.message : String(error)
+    }
+    return undefined
+}
+
+/**
+ * Expands `{a,b}` alternatives, including nested braces. Unbalanced braces
+ * are kept as literals.
+ *
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+export function expandBraces(pattern) {
+    const open = findBraceOpen(pattern)
+    if (open === -1) {
+        return [pattern]
+    }
+
+    let depth = 0
+    const commas = []
+    for (let index = open; index < pattern.length; index += 1) {
+        const char = pattern[index]
+        if (char === "\\") {
+            index += 1
+        } else if (char === "{") {
+            depth += 1
+        } else if (char === "}") {
+            depth -= 1
+            if (depth === 0) {
+                if (commas.length === 0) {
+                    break
+                }
+                const prefix = pattern.slice(0, open)
+                const suffix = pattern.slice(index + 1)
+                const bounds = [open, ...commas, index]
+                const options = []
+                for (let part = 0; part < bounds.length - 1; part += 1) {
+                    options.push(pattern.slice(bounds[part] + 1, bounds[part + 1]))
+                }
+                return options.flatMap((option) => expandBraces(`${prefix}${option}${suffix}`))
+            }
+        } else if (char === "," && depth === 1) {
+            commas.push(index)
+        }
+    }
+
+    // No alternatives in the first brace: keep it literal and expand the rest
+    const literal = pattern.indexOf("}", open)
+    if (literal === -1) {
+        return [pattern]
+    }
+    const head = pattern.slice(0, literal + 1)
+    return expandBraces(pattern.slice(literal + 1)).map((tail) => `${head}${tail}`)
+}
+
+/**
+ * Paths a tool message touches: `filePath`/`file_path`/`path`, `paths[]`,
+ * multi-edit targets and patch headers. Relative paths are also resolved
+ * against `cwd`/`workdir` when the input has one.
+ *
+ * @param {import("./types.js").DcpMessage} message
+ * @returns {string[]}
+ */
+export function collectFilePaths(message) {
+    const paths = []
+    if (typeof message.filePath === "string") {
+        paths.push(message.filePath)
+    }
+
+    const input = message.input
+    if (input && typeof input === "object") {
+        const value = /** @type {Record<string, unknown>} */ (input)
+        for (const key of ["filePath", "file_path", "path"]) {
+            if (typeof value[key] === "string") {
+                paths.push(value[key])
+            }
+        }
+        for (const key of ["paths", "files", "filePaths"]) {
+            if (Array.isArray(value[key])) {
+                paths.push(...value[key].filter((item) => typeof item === "string"))
+            }
+        }
+        if (Array.isArray(value.edits)) {
+            for (const edit of value.edits) {
+                const target = edit?.filePath ?? edit?.file_path
+                if (typeof target === "string") {
+                    paths.push(target)
+                }
+            }
+        }
+        for (const key of ["patchText", "patch", "diff"]) {
+            if (typeof value[key] === "string") {
+                paths.push(...readPatchTargets(value[key]))
+            }
+        }
+
+        const cwd = typeof value.cwd === "string" ? value.cwd : value.workdir
+        if (typeof cwd === "string" && isAbsolutePath(normalizeSlashes(cwd))) {
+            const relative = paths.filter((path) => !isAbsolutePath(normalizeSlashes(path)))
+            paths.push(
+                ...relative.map((path) =>
+                    posix.join(normalizeSlashes(cwd), normalizeSlashes(path)),
+                ),
+            )
+        }
+    }
+
+    return [...new Set(paths.filter((path) => path.length > 0))]
+}
+
+/**
+ * Target files named in `*** Update File:` style patches and unified diffs.
+ *
+ * @param {string} patch
+ */
+function readPatchTargets(patch) {
+    const targets = []
+    const envelope = /^\*\*\* (?:Add|Delete|Update) File: (.+)$/gm
+    const moved = /^\*\*\* Move to: (.+)$/gm
+    const unified = /^(?:\+\+\+|---) (?:[ab]\/)?(.+?)(?:\t.*)?$/gm
+    for (const regex of [envelope, moved, unified]) {
+        for (const match of patch.matchAll(regex)) {
+            const target = match[1].trim()
+            if (target && target !== "/dev/null") {
+                targets.push(target)
+            }
+        }
+    }
+    return targets
+}
+
+/** @param {string} pattern */
+function globToRegexSource(pattern) {
+    let source = ""
+    for (let index = 0; index < pattern.length; index += 1) {
+        const char = pattern[index]
+
+        if (char === "\\" && index + 1 < pattern.length) {
+            index += 1
+            source += escapeRegExp(pattern[index])
+            continue
+        }
+        if (char === "*") {
+            if (pattern[index + 1] === "*") {
+                if (pattern[index + 2] === "/") {
+                    // `**/` matches zero or more directories
+                    source += "(?:.*/)?"
+                    index += 2
+                } else {
+                    source += ".*"
+                    index += 1
+                }
+                continue
+            }
+            source += "[^/]*"
+            continue
+        }
+        if (char === "?") {
+            source += "[^/]"
+            continue
+        }
+        if (char === "[") {
+            const close = pattern.indexOf("]", index + 2)
+            if (close !== -1) {
+                let body = pattern.slice(index + 1, close)
+                const negated = body.startsWith("!") || body.startsWith("^")
+                if (negated) {
+                    body = body.slice(1)
+                }
+                source += `[${negated ? "^/" : ""}${body.replace(/[\\\]]/g, "\\$&")}]`
+                index = close
+                continue
+            }
+        }
+        source += escapeRegExp(char)
+    }
+    return source
+}
+
+/** @param {string} pattern */
+function findBraceOpen(pattern) {
+    for (let index = 0; index < pattern.length; index += 1) {
+        if (pattern[index] === "\\") {
+            index += 1
+        } else if (pattern[index] === "{") {
+            return index
+        }
+    }
+    return -1
+}
+
+/** @param {string} path */
+function isAbsolutePath(path) {
+    return path.startsWith("/") || /^[A-Za-z]:\//.test(path)
+}
+
+/** @param {string} value */
+function normalizeSlashes(value) {
+    return value.replace(/\\/g, "/")
+}
+
+/** @param {string} char */
+function escapeRegExp(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")
+}
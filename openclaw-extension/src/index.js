@@ -1,7 +1,29 @@
+import { existsSync, readFileSync, unwatchFile, watchFile } from "node:fs"
+import { join } from "node:path"
+
+import { parse, printParseErrorCode } from "jsonc-parser"
+
+import { applyBudget } from "./budget.js"
 import { createCommandHandler } from "./commands.js"
-import { normalizeConfig } from "./config.js"
-import { createTransformedView } from "./core.js"
-import { createState } from "./state.js"
+import {
+    flattenConfig,
+    normalizeConfig,
+    omitExtensionWideKeys,
+    resolveConfigLayers,
+} from "./config.js"
+import { applyStrategies, createTransformedView, registerProtectionRule } from "./core.js"
+import { applyNudge } from "./nudge.js"
+import {
+    loadLifetimeTotals,
+    loadState,
+    reconcileRestoredState,
+    resolveStorageDir,
+    restoreState,
+    saveState,
+} from "./persistence.js"
+import { validateConfig } from "./schema.js"
+import { createRegistry, createSessionStore, createState } from "./state.js"
+import { registerTokenizer } from "./tokenizer.js"
 import { createTools } from "./tools.js"
 
 const EXTENSION_ID = "openclaw-dcp-extension"
@@ -13,12 +35,66 @@ const DCP_PRUNE_SCHEMA = {
         ids: {
             type: "array",
             items: { type: "string" },
-            description: "Inventory IDs to prune; when omitted, fallback is sweep mode.",
+            description:
+                "Inventory IDs to prune; `3.2` prunes only block 2 of entry 3's content. When omitted, fallback is sweep mode.",
+        },
+        tools: {
+            type: "array",
+            items: { type: "string" },
+            description: "Sweep mode: only sweep messages from these tools.",
+        },
+        minTokens: {
+            type: "integer",
+            minimum: 1,
+            description: "Sweep mode: only sweep messages with at least this many tokens.",
+        },
+        olderThan: {
+            type: "integer",
+            minimum: 1,
+            description:
+                "Sweep mode: only sweep messages at least this many turns old (searches the whole conversation).",
+        },
+        all: {
+            type: "boolean",
+            description: "Sweep mode: sweep the whole conversation instead of the current turn.",
+        },
+        largest: {
+            type: "integer",
+            minimum: 1,
+            description: "Sweep mode: prune only the n largest candidates.",
+        },
+        mode: {
+            type: "string",
+            enum: ["prune", "truncate"],
+            description:
+                "prune (default) replaces each message with a placeholder; truncate keeps its head, tail and keep-pattern lines and elides the rest.",
+        },
+        headLines: {
+            type: "integer",
+            minimum: 0,
+            description: "Truncate mode: leading lines to keep (defaults to truncation.headLines).",
+        },
+        tailLines: {
+            type: "integer",
+            minimum: 0,
+            description:
+                "Truncate mode: trailing lines to keep (defaults to truncation.tailLines).",
+        },
+        keepText: {
+            type: "array",
+            items: { type: "string" },
+            description:
+                "Truncate mode: literal substrings; lines containing one are always kept, in addition to truncation.keepPatterns.",
         },
         reason: {
             type: "string",
             description: "Optional reason label for manual prune records.",
         },
+        dryRun: {
+            type: "boolean",
+            description:
+                "Report what would be pruned, what is protected and why, and projected savings without pruning.",
+        },
     },
 }
 
@@ -28,17 +104,77 @@ const DCP_DISTILL_SCHEMA = {
     properties: {
         targets: {
             type: "array",
-            description: "Inventory targets with per-item distillation text.",
+            description:
+                "Inventory targets with per-item distillation text. A target with several ids or a range collapses into one summary.",
             items: {
                 type: "object",
                 additionalProperties: false,
                 properties: {
                     id: { type: "string" },
+                    ids: {
+                        type: "array",
+                        items: { type: "string" },
+                    },
+                    range: {
+                        type: "object",
+                        additionalProperties: false,
+                        properties: {
+                            from: { type: "string" },
+                            to: { type: "string" },
+                        },
+                        required: ["from", "to"],
+                    },
                     distillation: { type: "string" },
                 },
-                required: ["id"],
+                anyOf: [{ required: ["id"] }, { required: ["ids"] }, { required: ["range"] }],
             },
         },
+        dryRun: {
+            type: "boolean",
+            description: "Preview the distillation and projected savings without applying it.",
+        },
+    },
+}
+
+const DCP_COMPRESS_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        topic: {
+            type: "string",
+            description: "Short label (3-5 words) for the compressed span.",
+        },
+        startString: {
+            type: "string",
+            description: "Unique text from the content of the message that starts the span.",
+        },
+        endString: {
+            type: "string",
+            description: "Unique text from the content of the message that ends the span.",
+        },
+        summary: {
+            type: "string",
+            description: "Complete technical summary replacing every message in the span.",
+        },
+    },
+    required: ["startString", "endString", "summary"],
+}
+
+const DCP_RESTORE_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        ids: {
+            type: "array",
+            items: { type: "string" },
+            description: "Message IDs from dcp-pruned placeholders to bring back.",
+        },
+        mode: {
+            type: "string",
+            enum: ["ids", "all", "last"],
+            description:
+                "Restore the given ids (default), every pruned message, or the last prune batch.",
+        },
     },
 }
 
@@ -48,22 +184,42 @@ const DCP_COMMAND_ARGS_SCHEMA = {
     properties: {
         args: {
             type: "string",
-            description: "Arguments after /dcp, e.g. 'context' or 'sweep 3'.",
+            description:
+                "Arguments after /dcp, e.g. 'context', 'stats --json', 'sweep 3' or 'restore last'.",
         },
     },
 }
 
+/** Settings read once at startup; changing them takes a restart. */
+const RESTART_KEYS = new Set(["enabled"])
+
+/** Project-level config, read from the workspace root. */
+const PROJECT_CONFIG_FILE = ".dcp.jsonc"
+
 /**
  * Lean standalone OpenClaw extension factory.
  *
  * Adapter note: this exports a runtime-agnostic shape so it can be bridged
  * to OpenClaw SDK specifics without coupling to evolving SDK types.
  *
+ * The config is resolved in layers, each merged over the one before: the host
+ * config, `reload.configFile`, the project's `.dcp.jsonc` and the session's
+ * `/dcp set` overrides. Tools, the command handler and the transform share one
+ * context object and resolve the session's config on every call, so
+ * `reloadConfig` swaps the layers in place while session state stays
+ * untouched. `options.readConfig` lets `/dcp reload` re-read the host config.
+ * Protection rules and tokenizers registered on the returned object apply to its
+ * sessions only.
+ *
  * @param {unknown} rawConfig
+ * @param {{ sessionID?: string, workspaceDir?: string, readConfig?: () => unknown }} [options]
  */
-export function createOpenClawDcpExtension(rawConfig) {
-    const config = normalizeConfig(rawConfig)
-    const state = createState()
+export function createOpenClawDcpExtension(rawConfig, options = {}) {
+    const workspaceDir = options.workspaceDir || process.cwd()
+    let hostConfig = rawConfig
+    let resolved = resolveLayers(hostConfig, workspaceDir)
+    const base = resolveConfigLayers(resolved.layers)
+    const config = base.config
 
     if (!config.enabled) {
         return {
@@ -72,36 +228,278 @@ export function createOpenClawDcpExtension(rawConfig) {
         }
     }
 
-    const tools = createTools({ state, config })
-    const runDcpCommand = createCommandHandler({ state, config })
+    let storageDir = config.persistence.enabled ? resolveStorageDir(config) : ""
+    const registry = createRegistry()
+    const loadSession = (sessionID) => {
+        const state = createState(sessionID, registry)
+        const persisted = storageDir ? loadState(sessionID, storageDir) : null
+        if (persisted) {
+            restoreState(state, persisted)
+        }
+        return state
+    }
+    const persist = (state) => {
+        if (storageDir) {
+            saveState(state, storageDir)
+        }
+    }
+
+    const sessionOptions = {
+        maxSessions: config.sessions.maxSessions,
+        fallbackID: options.sessionID,
+        load: loadSession,
+        onEvict: persist,
+    }
+    const sessions = createSessionStore(sessionOptions)
+    const state = sessions.fallback
+
+    /** @type {WeakMap<import("./types.js").DcpState, { layers: import("./types.js").ConfigLayer[], overrides: Record<string, unknown>, session: ReturnType<typeof resolveConfigLayers> }>} */
+    const sessionConfigs = new WeakMap()
+    const resolveSession = (sessionState) => {
+        const cached = sessionConfigs.get(sessionState)
+        if (
+            cached?.layers === resolved.layers &&
+            cached.overrides === sessionState.configOverrides
+        ) {
+            return cached.session
+        }
+        const session = resolveConfigLayers([
+            ...resolved.layers,
+            { name: "session", raw: sessionState.configOverrides },
+        ])
+        // `enabled` only applies at startup, whatever a later layer says
+        session.config.enabled = true
+        sessionConfigs.set(sessionState, {
+            layers: resolved.layers,
+            overrides: sessionState.configOverrides,
+            session,
+        })
+        return session
+    }
+
+    const ctx = {
+        sessions,
+        config,
+        configWarnings: [...resolved.warnings, ...validateConfig(base.raw)],
+        configFor: (sessionState) => resolveSession(sessionState).config,
+        configSources: (sessionState) => resolveSession(sessionState).sources,
+        persist,
+        lifetime: (currentState) => {
+            return storageDir ? loadLifetimeTotals(storageDir, [currentState]) : null
+        },
+        reload: () => reloadConfig(),
+    }
+    const tools = createTools(ctx)
+    const runDcpCommand = createCommandHandler(ctx)
+
+    /** @type {Set<string>} */
+    const watchedFiles = new Set()
+    const onFileChange = () => reloadConfig(hostConfig)
+    const watchConfigFiles = () => {
+        const { intervalMs } = ctx.config.reload
+        for (const file of watchedFiles) {
+            unwatchFile(file, onFileChange)
+        }
+        watchedFiles.clear()
+        for (const file of resolved.files) {
+            // Non-persistent, so polling never keeps the process alive
+            watchFile(file, { interval: intervalMs, persistent: false }, onFileChange)
+            watchedFiles.add(file)
+        }
+    }
+
+    /**
+     * Re-reads the config layers and swaps them in. Without an argument the
+     * host config is re-read through `options.readConfig` when available.
+     *
+     * @param {unknown} [nextHostConfig]
+     * @returns {import("./types.js").ConfigReloadResult}
+     */
+    function reloadConfig(nextHostConfig) {
+        if (nextHostConfig !== undefined) {
+            hostConfig = nextHostConfig
+        } else if (options.readConfig) {
+            hostConfig = options.readConfig()
+        }
+        const previousFiles = resolved.files.join("\n")
+        resolved = resolveLayers(hostConfig, workspaceDir)
+        const next = resolveConfigLayers(resolved.layers)
+        const nextConfig = next.config
+        const previous = new Map(flattenConfig(ctx.config))
+        const changedKeys = flattenConfig(nextConfig)
+            .filter(([key, value]) => JSON.stringify(previous.get(key)) !== JSON.stringify(value))
+            .map(([key]) => key)
+        const restartKeys = changedKeys.filter((key) => RESTART_KEYS.has(key))
+
+        ctx.config = { ...nextConfig, enabled: ctx.config.enabled }
+        ctx.configWarnings = [...resolved.warnings, ...validateConfig(next.raw)]
+        storageDir = ctx.config.persistence.enabled ? resolveStorageDir(ctx.config) : ""
+        sessionOptions.maxSessions = ctx.config.sessions.maxSessions
+        if (
+            resolved.files.join("\n") !== previousFiles ||
+            changedKeys.includes("reload.intervalMs")
+        ) {
+            watchConfigFiles()
+        }
+
+        return {
+            changedKeys,
+            restartKeys,
+            warnings: ctx.configWarnings,
+        }
+    }
+
+    watchConfigFiles()
 
     return {
         id: EXTENSION_ID,
         enabled: true,
+        get config() {
+            return ctx.config
+        },
+        get configWarnings() {
+            return ctx.configWarnings
+        },
+        reloadConfig,
+        registerProtectionRule: (name, predicate) => {
+            return registerProtectionRule(registry, name, predicate)
+        },
+        registerTokenizer: (name, tokenizer) => registerTokenizer(registry, name, tokenizer),
+        dispose: () => {
+            for (const file of watchedFiles) {
+                unwatchFile(file, onFileChange)
+            }
+            watchedFiles.clear()
+        },
         state,
+        sessions,
         tools,
         commands: {
             dcp: runDcpCommand,
         },
         hooks: {
-            chatMessagesTransform: (messages) => createTransformedView(messages, state),
+            chatMessagesTransform: (messages, runtime) => {
+                const sessionState = sessions.forRuntime(runtime)
+                const config = ctx.configFor(sessionState)
+                const reconciled = reconcileRestoredState(sessionState, messages)
+                const automatic = applyStrategies(messages, sessionState, config)
+                const budget = applyBudget(messages, sessionState, config, runtime)
+                if (reconciled || automatic.prunedIDs.length > 0 || budget.prunedIDs.length > 0) {
+                    persist(sessionState)
+                }
+                const view = createTransformedView(messages, sessionState, config)
+                return applyNudge(messages, view, sessionState, config)
+            },
         },
     }
 }
 
+/**
+ * Config layers below the session: the host config, then `reload.configFile`
+ * and the project's `.dcp.jsonc` when they exist. A file that cannot be read
+ * or parsed is left out and becomes a warning. `files` lists the files to poll.
+ *
+ * The project file comes from a checked-out workspace, so like `/dcp set` it
+ * cannot set extension-wide keys such as `persistence`.
+ *
+ * @param {unknown} hostConfig
+ * @param {string} workspaceDir
+ */
+function resolveLayers(hostConfig, workspaceDir) {
+    /** @type {import("./types.js").ConfigLayer[]} */
+    const layers = [{ name: "host", raw: hostConfig ?? {} }]
+    const warnings = []
+    const files = []
+
+    const configFile = normalizeConfig(hostConfig).reload.configFile
+    if (configFile) {
+        files.push(configFile)
+        const file = readConfigFile(configFile)
+        if (file.warning) {
+            warnings.push(`reload.configFile: ${file.warning}`)
+        } else {
+            layers.push({ name: "file", raw: file.raw })
+        }
+    }
+
+    const projectFile = join(workspaceDir, PROJECT_CONFIG_FILE)
+    if (existsSync(projectFile)) {
+        files.push(projectFile)
+        const file = readConfigFile(projectFile)
+        if (file.warning) {
+            warnings.push(`${PROJECT_CONFIG_FILE}: ${file.warning}`)
+        } else {
+            const project = omitExtensionWideKeys(file.raw)
+            for (const key of project.omitted) {
+                warnings.push(
+                    `${PROJECT_CONFIG_FILE}: ${key} applies to the whole extension and is ignored here`,
+                )
+            }
+            layers.push({ name: "project", raw: project.raw })
+        }
+    }
+
+    return {
+        layers,
+        warnings,
+        files,
+    }
+}
+
+/**
+ * Reads a JSON or JSONC config file.
+ *
+ * @param {string} path
+ * @returns {{ raw?: Record<string, unknown>, warning?: string }}
+ */
+function readConfigFile(path) {
+    if (!existsSync(path)) {
+        return { warning: `${path} does not exist` }
+    }
+    let text
+    try {
+        text = readFileSync(path, "utf8")
+    } catch (error) {
+        return { warning: `${path}: ${error instanceof Error ? error.message : String(error)}` }
+    }
+
+    /** @type {import("jsonc-parser").ParseError[]} */
+    const errors = []
+    const raw = parse(text, errors, { allowTrailingComma: true })
+    if (errors.length > 0) {
+        const [first] = errors
+        return { warning: `${path}: ${printParseErrorCode(first.error)} at offset ${first.offset}` }
+    }
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { warning: `${path}: expected an object` }
+    }
+    return { raw }
+}
+
 /** @param {unknown} api */
 export function register(api) {
     const host = api && typeof api === "object" ? /** @type {Record<string, unknown>} */ (api) : {}
-    const extension = createOpenClawDcpExtension(readHostConfig(host))
+    const extension = createOpenClawDcpExtension(readHostConfig(host), {
+        sessionID: readHostSessionID(host),
+        workspaceDir: readHostWorkspaceDir(host),
+        readConfig: () => readHostConfig(host),
+    })
 
     if (!extension.enabled) {
         return extension
     }
 
+    for (const key of ["onConfigChange", "onConfigChanged"]) {
+        if (typeof host[key] === "function") {
+            host[key]((nextConfig) => extension.reloadConfig(nextConfig ?? readHostConfig(host)))
+            break
+        }
+    }
+
     const registerTool = typeof host.registerTool === "function" ? host.registerTool : undefined
     if (registerTool) {
         registerToolWithHost(registerTool, "dcp_prune", {
-            description: "Prune context using inventory IDs or sweep mode.",
+            description: "Prune or truncate context using inventory IDs, or sweep mode.",
             parameters: DCP_PRUNE_SCHEMA,
             handler: extension.tools.dcp_prune,
         })
@@ -111,13 +509,26 @@ export function register(api) {
             parameters: DCP_DISTILL_SCHEMA,
             handler: extension.tools.dcp_distill,
         })
+
+        registerToolWithHost(registerTool, "dcp_compress", {
+            description: "Replace a conversation span between two unique strings with one summary.",
+            parameters: DCP_COMPRESS_SCHEMA,
+            handler: extension.tools.dcp_compress,
+        })
+
+        registerToolWithHost(registerTool, "dcp_restore", {
+            description: "Restore pruned messages by message ID, all, or the last prune batch.",
+            parameters: DCP_RESTORE_SCHEMA,
+            handler: extension.tools.dcp_restore,
+        })
     }
 
     const registerCommand =
         typeof host.registerCommand === "function" ? host.registerCommand : undefined
     if (registerCommand && extension.commands?.dcp) {
         registerCommandWithHost(registerCommand, "dcp", {
-            description: "Dynamic context pruning command: context|stats|sweep [n].",
+            description:
+                "Dynamic context pruning command: context|stats|sweep [n] [--tool a,b] [--min-tokens n] [--older-than turns] [--all] [--largest n]|restore <id|all|last>|pin <id>|unpin <id>|config|set <key> <value>|unset <key>|reload.",
             parameters: DCP_COMMAND_ARGS_SCHEMA,
             handler: (input, runtime) => extension.commands.dcp(toCommandText(input), runtime),
         })
@@ -158,6 +569,26 @@ function readHostConfig(host) {
     return {}
 }
 
+/** @param {Record<string, unknown>} host */
+function readHostSessionID(host) {
+    for (const key of ["sessionID", "sessionId"]) {
+        if (typeof host[key] === "string" && host[key].length > 0) {
+            return /** @type {string} */ (host[key])
+        }
+    }
+    return undefined
+}
+
+/** @param {Record<string, unknown>} host */
+function readHostWorkspaceDir(host) {
+    for (const key of ["workspaceDir", "workspaceRoot", "workspace", "cwd"]) {
+        if (typeof host[key] === "string" && host[key].length > 0) {
+            return /** @type {string} */ (host[key])
+        }
+    }
+    return undefined
+}
+
 /**
  * @param {Function} registerFn
  * @param {string} name
@@ -0,0 +1,100 @@
+import { normalizeConfig } from "./config.js"
+import { getPrunableInventory, isToolLikeMessage, renderTemplate } from "./core.js"
+
+const DCP_TOOLS = new Set(["dcp_prune", "dcp_distill", "dcp_compress", "dcp_restore"])
+
+/**
+ * Model-facing nudge - appends a message listing the prunable inventory to the
+ * transformed view, so the model can call `dcp_prune` / `dcp_distill` with
+ * valid IDs without anyone running `/dcp context`.
+ *
+ * Fires once when the inventory grows past `nudge.minTokens` tokens, or when
+ * `nudge.everyToolCalls` tool calls have run since the last nudge. Like the
+ * budget autopilot, the token trigger re-arms once the inventory drops back
+ * below the threshold. No nudge follows directly after a DCP tool call, since
+ * the model just managed its context. The nudge only exists in the view and is never persisted.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpMessage[]} view
+ * @param {import("./types.js").DcpState} state
+ * @param {unknown} rawConfig
+ */
+export function applyNudge(messages, view, state, rawConfig) {
+    const config = normalizeConfig(rawConfig)
+    if (!config.nudge.enabled) {
+        return view
+    }
+
+    const toolMessages = messages.filter((message) => message && isToolLikeMessage(message))
+    const toolCount = toolMessages.length
+    // Host compaction can shrink the message list; count from there
+    if (toolCount < state.nudge.lastToolCount) {
+        state.nudge.lastToolCount = toolCount
+    }
+    if (DCP_TOOLS.has(toolMessages[toolMessages.length - 1]?.toolName)) {
+        state.nudge.lastToolCount = toolCount
+        return view
+    }
+
+    const inventory = getPrunableInventory(messages, state, config)
+    const tokens = inventory.reduce((total, entry) => total + entry.estimatedTokens, 0)
+    const overThreshold = config.nudge.minTokens > 0 && tokens >= config.nudge.minTokens
+    if (!overThreshold) {
+        state.nudge.armed = true
+    }
+    if (inventory.length === 0) {
+        return view
+    }
+    const thresholdCrossed = overThreshold && state.nudge.armed
+    const toolCallsDue =
+        config.nudge.everyToolCalls > 0 &&
+        toolCount - state.nudge.lastToolCount >= config.nudge.everyToolCalls
+    if (!thresholdCrossed && !toolCallsDue) {
+        return view
+    }
+    state.nudge.lastToolCount = toolCount
+    if (overThreshold) {
+        state.nudge.armed = false
+    }
+
+    return [
+        ...view,
+        {
+            id: "dcp-nudge",
+            role: config.nudge.role,
+            content: renderTemplate(config.nudge.template, {
+                count: inventory.length,
+                tokens,
+                inventory: formatInventory(inventory, config.nudge.maxEntries),
+            }),
+            meta: {
+                dcp: {
+                    nudge: true,
+                    inventoryTokens: tokens,
+                },
+            },
+        },
+    ]
+}
+
+/**
+ * One `#id toolName tokens` line per entry, in inventory order. Past
+ * `maxEntries`, only the largest entries are listed.
+ *
+ * @param {import("./types.js").InventoryEntry[]} entries
+ * @param {number} maxEntries
+ */
+export function formatInventory(entries, maxEntries) {
+    const listed = new Set(
+        [...entries].sort((a, b) => b.estimatedTokens - a.estimatedTokens).slice(0, maxEntries),
+    )
+    const lines = entries
+        .filter((entry) => listed.has(entry))
+        .map((entry) => {
+            return `#${entry.id} ${entry.toolName || entry.role || "unknown"} ${entry.estimatedTokens}`
+        })
+    if (listed.size < entries.length) {
+        lines.push(`(${entries.length - listed.size} smaller entries not listed)`)
+    }
+    return lines.join("\n")
+}
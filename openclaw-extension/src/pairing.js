@@ -0,0 +1,288 @@
+/**
+ * Tool call / tool result pairing.
+ *
+ * Calls are read from assistant content blocks (`tool_use`, `toolCall`) and
+ * from `toolCalls` / `tool_calls` arrays; results from the message's tool-call
+ * ID field (`toolCallId`, `tool_call_id`, ...) and from `tool_result` blocks.
+ * Providers reject a call without its result and a result without its call, so
+ * the transformed view is repaired wherever pruning split a pair.
+ */
+
+import { appendContent, contentText, isContentBlock } from "./content.js"
+
+const CALL_BLOCK_TYPES = new Set(["tool_use", "toolCall"])
+const CALL_ARRAY_KEYS = ["toolCalls", "tool_calls"]
+const RESULT_ID_KEYS = ["toolCallId", "toolCallID", "tool_call_id", "callID", "callId"]
+
+/**
+ * Call IDs this message answers.
+ *
+ * @param {import("./types.js").DcpMessage} message
+ * @returns {string[]}
+ */
+export function readResultCallIDs(message) {
+    if (!message || typeof message !== "object") {
+        return []
+    }
+    const ids = []
+    const value = /** @type {Record<string, unknown>} */ (message)
+    for (const key of RESULT_ID_KEYS) {
+        if (typeof value[key] === "string" && value[key].length > 0) {
+            ids.push(value[key])
+        }
+    }
+    if (Array.isArray(message.content)) {
+        for (const block of message.content) {
+            if (isContentBlock(block) && block.type === "tool_result") {
+                const callID = block.tool_use_id
+                if (typeof callID === "string" && callID.length > 0) {
+                    ids.push(callID)
+                }
+            }
+        }
+    }
+    return [...new Set(ids)]
+}
+
+/**
+ * Call IDs this message makes.
+ *
+ * @param {import("./types.js").DcpMessage} message
+ * @returns {string[]}
+ */
+export function readCallIDs(message) {
+    if (!message || typeof message !== "object") {
+        return []
+    }
+    const ids = []
+    if (Array.isArray(message.content)) {
+        for (const block of message.content) {
+            if (isCallBlock(block) && typeof block.id === "string") {
+                ids.push(block.id)
+            }
+        }
+    }
+    const value = /** @type {Record<string, unknown>} */ (message)
+    for (const key of CALL_ARRAY_KEYS) {
+        if (Array.isArray(value[key])) {
+            for (const call of value[key]) {
+                if (typeof call?.id === "string") {
+                    ids.push(call.id)
+                }
+            }
+        }
+    }
+    return [...new Set(ids)]
+}
+
+/**
+ * Replaces the string arguments of the listed calls with their placeholder.
+ * Returns the message itself when it makes none of those calls.
+ *
+ * @param {import("./types.js").DcpMessage} message
+ * @param {Map<string, string>} placeholders placeholder text by call ID
+ */
+export function stripCallInputs(message, placeholders) {
+    if (!readCallIDs(message).some((callID) => placeholders.has(callID))) {
+        return message
+    }
+
+    const stripped = { ...message }
+    if (Array.isArray(message.content)) {
+        stripped.content = message.content.map((block) => {
+            const placeholder = isCallBlock(block) ? placeholders.get(block.id) : undefined
+            if (!placeholder) {
+                return block
+            }
+            return "input" in block
+                ? { ...block, input: stripInput(block.input, placeholder) }
+                : { ...block, arguments: stripInput(block.arguments, placeholder) }
+        })
+    }
+    for (const key of CALL_ARRAY_KEYS) {
+        if (Array.isArray(message[key])) {
+            stripped[key] = message[key].map((call) => stripArrayCall(call, placeholders))
+        }
+    }
+    return stripped
+}
+
+/**
+ * Replaces top-level string values of a tool input. JSON-encoded inputs, as in
+ * OpenAI-style `arguments`, stay JSON-encoded.
+ *
+ * @param {unknown} input
+ * @param {string} placeholder
+ */
+export function stripInput(input, placeholder) {
+    if (typeof input === "string") {
+        try {
+            const parsed = JSON.parse(input)
+            return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+                ? JSON.stringify(stripInput(parsed, placeholder))
+                : input
+        } catch {
+            // noop: arguments that are not JSON are left as they are
+            return input
+        }
+    }
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        return input
+    }
+    return Object.fromEntries(
+        Object.entries(input).map(([key, value]) => {
+            return [key, typeof value === "string" ? placeholder : value]
+        }),
+    )
+}
+
+/**
+ * Keeps every call/result pair in the view valid. Only pairs that exist in the
+ * runtime messages and were split by the view are repaired: calls whose result
+ * left the view are dropped, and results whose call left the view become user
+ * messages with a marker naming the call.
+ *
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpMessage[]} view
+ */
+export function repairToolPairs(messages, view) {
+    const pairedIDs = intersect(
+        new Set(messages.flatMap((message) => readCallIDs(message))),
+        new Set(messages.flatMap((message) => readResultCallIDs(message))),
+    )
+    if (pairedIDs.size === 0) {
+        return view
+    }
+
+    const viewCallIDs = new Set(view.flatMap((message) => readCallIDs(message)))
+    const viewResultIDs = new Set(view.flatMap((message) => readResultCallIDs(message)))
+
+    return view.map((message) => {
+        const orphanedCalls = readCallIDs(message).filter((callID) => {
+            return pairedIDs.has(callID) && !viewResultIDs.has(callID)
+        })
+        const orphanedResults = readResultCallIDs(message).filter((callID) => {
+            return pairedIDs.has(callID) && !viewCallIDs.has(callID)
+        })
+
+        let repaired = message
+        if (orphanedCalls.length > 0) {
+            repaired = dropCalls(repaired, new Set(orphanedCalls))
+        }
+        if (orphanedResults.length > 0) {
+            repaired = unpairResults(repaired, new Set(orphanedResults))
+        }
+        return repaired
+    })
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {Set<string>} callIDs
+ */
+function dropCalls(message, callIDs) {
+    const repaired = { ...message }
+    if (Array.isArray(message.content)) {
+        repaired.content = message.content.filter((block) => {
+            return !isCallBlock(block) || !callIDs.has(block.id)
+        })
+    }
+    for (const key of CALL_ARRAY_KEYS) {
+        if (Array.isArray(message[key])) {
+            const calls = message[key].filter((call) => !callIDs.has(call?.id))
+            // OpenAI-style APIs reject an empty tool_calls array
+            if (calls.length > 0) {
+                repaired[key] = calls
+            } else {
+                delete repaired[key]
+            }
+        }
+    }
+
+    const marker = `[dcp-pruned-calls ids=${[...callIDs].join(",")}]`
+    if (Array.isArray(repaired.content) && repaired.content.length === 0) {
+        repaired.content = [{ type: "text", text: marker }]
+    } else if (!Array.isArray(repaired.content) && contentText(repaired.content).length === 0) {
+        repaired.content = marker
+    }
+    return withDcpMeta(repaired, { droppedCallIDs: [...callIDs] })
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {Set<string>} callIDs
+ */
+function unpairResults(message, callIDs) {
+    const marker = `[dcp-tool-result call=${[...callIDs].join(",")}${message.toolName ? ` tool=${message.toolName}` : ""}]`
+    const content = Array.isArray(message.content)
+        ? message.content.map((block) => {
+              if (!isContentBlock(block) || block.type !== "tool_result") {
+                  return block
+              }
+              return callIDs.has(block.tool_use_id)
+                  ? { type: "text", text: contentText(block.content) }
+                  : block
+          })
+        : message.content
+
+    const repaired = { ...message, role: "user", content: appendContent(marker, content) }
+    for (const key of RESULT_ID_KEYS) {
+        if (callIDs.has(repaired[key])) {
+            delete repaired[key]
+        }
+    }
+    return withDcpMeta(repaired, { unpairedCallIDs: [...callIDs] })
+}
+
+/**
+ * @param {unknown} call
+ * @param {Map<string, string>} placeholders
+ */
+function stripArrayCall(call, placeholders) {
+    const placeholder = typeof call?.id === "string" ? placeholders.get(call.id) : undefined
+    if (!placeholder) {
+        return call
+    }
+    if (call.function && typeof call.function === "object") {
+        return {
+            ...call,
+            function: {
+                ...call.function,
+                arguments: stripInput(call.function.arguments, placeholder),
+            },
+        }
+    }
+    return "input" in call
+        ? { ...call, input: stripInput(call.input, placeholder) }
+        : { ...call, arguments: stripInput(call.arguments, placeholder) }
+}
+
+/** @param {unknown} block */
+function isCallBlock(block) {
+    return isContentBlock(block) && CALL_BLOCK_TYPES.has(block.type)
+}
+
+/**
+ * @param {import("./types.js").DcpMessage} message
+ * @param {Record<string, unknown>} fields
+ */
+function withDcpMeta(message, fields) {
+    return {
+        ...message,
+        meta: {
+            ...(message.meta || {}),
+            dcp: {
+                ...(message.meta?.dcp || {}),
+                ...fields,
+            },
+        },
+    }
+}
+
+/**
+ * @param {Set<string>} first
+ * @param {Set<string>} second
+ */
+function intersect(first, second) {
+    return new Set([...first].filter((item) => second.has(item)))
+}
@@ -0,0 +1,463 @@
+/**
+ * Per-session persistence for DCP state.
+ *
+ * Serializes prune, block and truncation records, pins, distillations, compressions and counters so they survive gateway
+ * restarts. Storage location: $XDG_DATA_HOME/openclaw/storage/plugin/dcp/{sessionID}.json
+ * (falling back to ~/.local/share) unless `persistence.directory` is configured.
+ */
+
+import {
+    existsSync,
+    mkdirSync,
+    readdirSync,
+    readFileSync,
+    renameSync,
+    writeFileSync,
+} from "node:fs"
+import { homedir } from "node:os"
+import { join } from "node:path"
+
+import { releaseCounters } from "./core.js"
+
+export const PERSISTED_STATE_VERSION = 1
+
+/** @param {import("./types.js").ExtensionConfig} config */
+export function resolveStorageDir(config) {
+    if (config.persistence.directory) {
+        return config.persistence.directory
+    }
+    return join(
+        process.env.XDG_DATA_HOME || join(homedir(), ".local", "share"),
+        "openclaw",
+        "storage",
+        "plugin",
+        "dcp",
+    )
+}
+
+/**
+ * @param {string} directory
+ * @param {string} sessionID
+ */
+export function getSessionFilePath(directory, sessionID) {
+    const safeID = sessionID.replace(/[^A-Za-z0-9._-]/g, "_")
+    return join(directory, `${safeID}.json`)
+}
+
+/**
+ * @param {import("./types.js").DcpState} state
+ * @returns {import("./types.js").PersistedState}
+ */
+export function serializeState(state) {
+    return {
+        version: PERSISTED_STATE_VERSION,
+        sessionID: state.sessionID,
+        prunedByID: Object.fromEntries(state.prunedByID),
+        prunedInputsByID: Object.fromEntries(state.prunedInputsByID),
+        prunedBlocksByID: Object.fromEntries(state.prunedBlocksByID),
+        truncatedByID: Object.fromEntries(state.truncatedByID),
+        restoredIDs: [...state.restoredIDs],
+        pinnedIDs: [...state.pinnedIDs],
+        configOverrides: structuredClone(state.configOverrides),
+        distillations: state.distillations.map((record) => ({
+            ...record,
+            sourceMessageIDs: [...record.sourceMessageIDs],
+        })),
+        compressions: state.compressions.map((record) => ({
+            ...record,
+            messageIDs: [...record.messageIDs],
+        })),
+        counters: { ...state.counters },
+        lifetime: { ...state.lifetime },
+        lastUpdated: new Date().toISOString(),
+    }
+}
+
+/**
+ * Applies a persisted snapshot to a freshly created state. Records are kept
+ * until the first message list is seen, then reconciled against it.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").PersistedState} persisted
+ */
+export function restoreState(state, persisted) {
+    state.prunedByID = new Map(Object.entries(persisted.prunedByID))
+    state.prunedInputsByID = new Map(Object.entries(persisted.prunedInputsByID))
+    state.prunedBlocksByID = new Map(Object.entries(persisted.prunedBlocksByID))
+    state.truncatedByID = new Map(Object.entries(persisted.truncatedByID))
+    state.restoredIDs = new Set(persisted.restoredIDs)
+    state.pinnedIDs = new Set(persisted.pinnedIDs)
+    state.configOverrides = structuredClone(persisted.configOverrides)
+    state.distillations = persisted.distillations.map((record) => ({
+        ...record,
+        sourceMessageIDs: [...record.sourceMessageIDs],
+    }))
+    state.compressions = persisted.compressions.map((record) => ({
+        ...record,
+        messageIDs: [...record.messageIDs],
+    }))
+    state.distillationBySourceID = new Map()
+    for (const record of state.distillations) {
+        for (const sourceID of record.sourceMessageIDs) {
+            state.distillationBySourceID.set(sourceID, record.id)
+        }
+    }
+    state.counters = { ...state.counters, ...persisted.counters }
+    state.lifetime = { ...state.lifetime, ...persisted.lifetime }
+    state.batch = {
+        lastID: [
+            ...state.prunedByID.values(),
+            ...state.prunedInputsByID.values(),
+            ...state.prunedBlocksByID.values(),
+            ...state.truncatedByID.values(),
+        ].reduce((highest, record) => Math.max(highest, record.batch ?? 0), 0),
+        openID: 0,
+    }
+    state.pendingReconcile = true
+}
+
+/**
+ * Writes the snapshot next to the session file and renames it into place, so a
+ * crash mid-write never leaves a truncated file behind.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {string} directory
+ */
+export function saveState(state, directory) {
+    try {
+        if (!existsSync(directory)) {
+            mkdirSync(directory, { recursive: true })
+        }
+        const filePath = getSessionFilePath(directory, state.sessionID)
+        const tempPath = `${filePath}.${process.pid}.tmp`
+        writeFileSync(tempPath, JSON.stringify(serializeState(state), null, 2), "utf-8")
+        renameSync(tempPath, filePath)
+        return true
+    } catch {
+        // noop: persistence is best-effort and must never break a prune
+        return false
+    }
+}
+
+/**
+ * @param {string} sessionID
+ * @param {string} directory
+ * @returns {import("./types.js").PersistedState | null}
+ */
+export function loadState(sessionID, directory) {
+    try {
+        const filePath = getSessionFilePath(directory, sessionID)
+        if (!existsSync(filePath)) {
+            return null
+        }
+        return migratePersistedState(JSON.parse(readFileSync(filePath, "utf-8")))
+    } catch {
+        // noop: unreadable or corrupt state files are treated as absent
+        return null
+    }
+}
+
+/**
+ * Sums the lifetime totals of every persisted session in `directory`. Sessions
+ * in `liveStates` are counted from memory instead of their files.
+ *
+ * @param {string} directory
+ * @param {import("./types.js").DcpState[]} [liveStates]
+ */
+export function loadLifetimeTotals(directory, liveStates = []) {
+    const liveByID = new Map(liveStates.map((state) => [state.sessionID, state]))
+    const countersBySession = new Map()
+
+    let fileNames = []
+    try {
+        fileNames = existsSync(directory)
+            ? readdirSync(directory).filter((name) => name.endsWith(".json"))
+            : []
+    } catch {
+        // noop: an unreadable storage directory counts as empty
+    }
+    for (const fileName of fileNames) {
+        try {
+            const persisted = migratePersistedState(
+                JSON.parse(readFileSync(join(directory, fileName), "utf-8")),
+            )
+            if (persisted) {
+                countersBySession.set(persisted.sessionID || fileName, persisted.lifetime)
+            }
+        } catch {
+            // noop: corrupt state files are skipped
+        }
+    }
+    for (const [sessionID, state] of liveByID) {
+        countersBySession.set(sessionID, state.lifetime)
+    }
+
+    const counters = {
+        prunedMessages: 0,
+        prunedChars: 0,
+        prunedTokens: 0,
+        distillations: 0,
+        compressions: 0,
+        sweeps: 0,
+    }
+    for (const sessionCounters of countersBySession.values()) {
+        for (const key of Object.keys(counters)) {
+            counters[key] += sessionCounters[key] ?? 0
+        }
+    }
+
+    return {
+        sessions: countersBySession.size,
+        counters,
+    }
+}
+
+/**
+ * Upgrades older snapshots to the current schema. Returns null for snapshots
+ * that are malformed or written by a newer, unknown schema version.
+ *
+ * @param {unknown} raw
+ * @returns {import("./types.js").PersistedState | null}
+ */
+export function migratePersistedState(raw) {
+    if (!raw || typeof raw !== "object") {
+        return null
+    }
+    const value = /** @type {Record<string, any>} */ (raw)
+    const version = typeof value.version === "number" ? value.version : 0
+
+    if (version > PERSISTED_STATE_VERSION) {
+        return null
+    }
+    if (!value.prunedByID || typeof value.prunedByID !== "object") {
+        return null
+    }
+
+    const prunedByID = readPrunedRecords(value.prunedByID)
+    const prunedInputsByID = readPrunedRecords(value.prunedInputsByID)
+    const prunedBlocksByID = readPrunedRecords(value.prunedBlocksByID)
+    const truncatedByID = readPrunedRecords(value.truncatedByID)
+
+    const distillations = Array.isArray(value.distillations)
+        ? value.distillations.filter((record) => {
+              return (
+                  record &&
+                  typeof record === "object" &&
+                  typeof record.id === "string" &&
+                  typeof record.summary === "string" &&
+                  Array.isArray(record.sourceMessageIDs)
+              )
+          })
+        : []
+
+    const compressions = Array.isArray(value.compressions)
+        ? value.compressions.filter((record) => {
+              return (
+                  record &&
+                  typeof record === "object" &&
+                  typeof record.id === "string" &&
+                  typeof record.summary === "string" &&
+                  Array.isArray(record.messageIDs)
+              )
+          })
+        : []
+
+    return {
+        version: PERSISTED_STATE_VERSION,
+        sessionID: typeof value.sessionID === "string" ? value.sessionID : "",
+        prunedByID,
+        prunedInputsByID,
+        prunedBlocksByID,
+        truncatedByID,
+        restoredIDs: Array.isArray(value.restoredIDs)
+            ? value.restoredIDs.filter((id) => typeof id === "string")
+            : [],
+        pinnedIDs: Array.isArray(value.pinnedIDs)
+            ? value.pinnedIDs.filter((id) => typeof id === "string")
+            : [],
+        configOverrides:
+            value.configOverrides &&
+            typeof value.configOverrides === "object" &&
+            !Array.isArray(value.configOverrides)
+                ? value.configOverrides
+                : {},
+        distillations: distillations.map((record) => ({
+            id: record.id,
+            sourceMessageIDs: record.sourceMessageIDs.filter((id) => typeof id === "string"),
+            summary: record.summary,
+            at: typeof record.at === "number" ? record.at : 0,
+        })),
+        compressions: compressions.map((record) => ({
+            id: record.id,
+            topic: typeof record.topic === "string" ? record.topic : "",
+            summary: record.summary,
+            messageIDs: record.messageIDs.filter((id) => typeof id === "string"),
+            at: typeof record.at === "number" ? record.at : 0,
+        })),
+        counters: readCounters(value.counters),
+        lifetime: readCounters(value.lifetime),
+        lastUpdated: typeof value.lastUpdated === "string" ? value.lastUpdated : "",
+    }
+}
+
+/**
+ * Drops restored records whose messages are no longer part of the session and
+ * takes them out of the session counters. Only runs once after a restore, on
+ * the first non-empty message list.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {import("./types.js").DcpMessage[]} messages
+ */
+export function reconcileRestoredState(state, messages) {
+    if (!state.pendingReconcile || messages.length === 0) {
+        return false
+    }
+    state.pendingReconcile = false
+
+    const liveIDs = new Set(messages.map((message) => message?.id))
+    let changed = false
+
+    for (const [messageID, record] of [...state.prunedByID]) {
+        if (!liveIDs.has(messageID)) {
+            state.prunedByID.delete(messageID)
+            state.counters.prunedMessages = Math.max(0, state.counters.prunedMessages - 1)
+            releaseCounters(state, record)
+            changed = true
+        }
+    }
+
+    for (const records of [state.prunedInputsByID, state.prunedBlocksByID, state.truncatedByID]) {
+        for (const [messageID, record] of [...records]) {
+            if (!liveIDs.has(messageID)) {
+                records.delete(messageID)
+                releaseCounters(state, record)
+                changed = true
+            }
+        }
+    }
+
+    for (const messageID of [...state.restoredIDs]) {
+        if (!liveIDs.has(messageID)) {
+            state.restoredIDs.delete(messageID)
+            changed = true
+        }
+    }
+
+    for (const messageID of [...state.pinnedIDs]) {
+        if (!liveIDs.has(messageID)) {
+            state.pinnedIDs.delete(messageID)
+            changed = true
+        }
+    }
+
+    for (const sourceID of [...state.distillationBySourceID.keys()]) {
+        if (!liveIDs.has(sourceID)) {
+            state.distillationBySourceID.delete(sourceID)
+        }
+    }
+
+    const distillations = state.distillations.filter((record) => {
+        return record.sourceMessageIDs.some((sourceID) => liveIDs.has(sourceID))
+    })
+    if (distillations.length !== state.distillations.length) {
+        state.counters.distillations = Math.max(
+            0,
+            state.counters.distillations - (state.distillations.length - distillations.length),
+        )
+        state.distillations = distillations
+        changed = true
+    }
+
+    const compressions = state.compressions.filter((record) => {
+        return record.messageIDs.some((messageID) => liveIDs.has(messageID))
+    })
+    if (compressions.length !== state.compressions.length) {
+        state.counters.compressions = Math.max(
+            0,
+            state.counters.compressions - (state.compressions.length - compressions.length),
+        )
+        state.compressions = compressions
+        changed = true
+    }
+
+    return changed
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {Object<string, import("./types.js").PrunedRecord>}
+ */
+function readPrunedRecords(raw) {
+    const records = {}
+    if (!raw || typeof raw !== "object") {
+        return records
+    }
+    for (const [messageID, record] of Object.entries(raw)) {
+        // Assigning `__proto__` would replace the prototype instead of adding a record
+        if (messageID === "__proto__") {
+            continue
+        }
+        if (!record || typeof record !== "object" || typeof record.reason !== "string") {
+            continue
+        }
+        records[messageID] = {
+            reason: record.reason,
+            toolName: typeof record.toolName === "string" ? record.toolName : undefined,
+            chars: typeof record.chars === "number" ? record.chars : 0,
+            tokens: typeof record.tokens === "number" ? record.tokens : 0,
+            at: typeof record.at === "number" ? record.at : 0,
+            batch: Number.isInteger(record.batch) && record.batch > 0 ? record.batch : undefined,
+            distillationID:
+                typeof record.distillationID === "string" ? record.distillationID : undefined,
+            compressionID:
+                typeof record.compressionID === "string" ? record.compressionID : undefined,
+            truncation: readTruncation(record.truncation),
+            blocks: Array.isArray(record.blocks)
+                ? record.blocks.filter((index) => Number.isInteger(index) && index >= 0)
+                : undefined,
+        }
+    }
+    return records
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {import("./types.js").DcpCounters}
+ */
+function readCounters(raw) {
+    const counters = /** @type {Record<string, unknown>} */ (
+        raw && typeof raw === "object" ? raw : {}
+    )
+    return {
+        prunedMessages: asCount(counters.prunedMessages),
+        prunedChars: asCount(counters.prunedChars),
+        prunedTokens: asCount(counters.prunedTokens),
+        distillations: asCount(counters.distillations),
+        compressions: asCount(counters.compressions),
+        sweeps: asCount(counters.sweeps),
+    }
+}
+
+/** @param {unknown} raw */
+function readTruncation(raw) {
+    if (!raw || typeof raw !== "object") {
+        return undefined
+    }
+    const value = /** @type {Record<string, unknown>} */ (raw)
+    return {
+        headLines: asCount(value.headLines),
+        tailLines: asCount(value.tailLines),
+        keepPatterns: Array.isArray(value.keepPatterns)
+            ? value.keepPatterns.filter((pattern) => typeof pattern === "string")
+            : [],
+        keepText: Array.isArray(value.keepText)
+            ? value.keepText.filter((text) => typeof text === "string")
+            : [],
+        elidedLines: asCount(value.elidedLines),
+    }
+}
+
+/** @param {unknown} value */
+function asCount(value) {
+    return typeof value === "number" && Number.isFinite(value) && value >= 0 ? value : 0
+}
@@ -0,0 +1,408 @@
+/**
+ * Config schema - the one source for the `configSchema` in
+ * `openclaw.plugin.json` (written by `npm run manifest`) and for the runtime
+ * checks behind `/dcp config`. Defaults are filled in from `DEFAULT_CONFIG`, so
+ * the schema cannot drift from what `normalizeConfig` falls back to.
+ *
+ * `normalizeConfig` stays lenient and replaces bad values with defaults;
+ * `validateConfig` reports what it replaced or ignored.
+ */
+
+import { DEFAULT_CONFIG, unknownPlaceholderVariables } from "./config.js"
+import { compileContentPattern } from "./core.js"
+import { findGlobError } from "./glob.js"
+
+const TOKEN_LIMIT_PATTERN = "^\\d+(\\.\\d+)?%$"
+
+/** Keys whose values are glob lists or regex lists, checked beyond their type. */
+const GLOB_KEYS = new Set(["protectedFilePatterns"])
+const REGEX_KEYS = new Set(["protectedContentPatterns", "truncation.keepPatterns"])
+
+const SCHEMA_WITHOUT_DEFAULTS = section({
+    enabled: boolean("Enable or disable the extension"),
+    protectedTools: stringArray("Tool names never pruned by dcp operations"),
+    protectedFilePatterns: stringArray("Glob-like file patterns never pruned by dcp operations"),
+    protectedContentPatterns: stringArray(
+        "Regular expressions (source or /source/flags); messages whose content matches are never pruned",
+    ),
+    turnProtection: section({
+        enabled: boolean("Exempt tool messages from the most recent turns from pruning"),
+        turns: integer(1, "Number of most recent turns (user messages) to protect"),
+    }),
+    tokenizer: string(
+        "Token counter: auto (BPE from @anthropic-ai/tokenizer with chars/4 fallback), anthropic, heuristic, or a name registered with registerTokenizer",
+    ),
+    commands: section({
+        enabled: boolean("Enable /dcp command routing"),
+    }),
+    reload: section({
+        configFile: string(
+            "JSON file with config overrides, polled for changes and applied without a restart; empty disables",
+        ),
+        intervalMs: integer(1, "How often the config file is polled, in milliseconds"),
+    }),
+    persistence: section({
+        enabled: boolean(
+            "Persist prune records, distillations and counters per session across gateway restarts",
+        ),
+        directory: string(
+            "Storage directory for session state files; empty uses $XDG_DATA_HOME/openclaw/storage/plugin/dcp",
+        ),
+    }),
+    sessions: section({
+        maxSessions: integer(
+            1,
+            "Maximum number of sessions kept in memory before the least recently used one is evicted",
+        ),
+    }),
+    distillation: section({
+        template: string(
+            "Template for distilled messages; variables: {id}, {distillationID}, {sources}, {summary}",
+        ),
+        combineConsecutive: boolean(
+            "Merge adjacent distilled messages in the transformed view into one block",
+        ),
+    }),
+    placeholders: section({
+        template: string(
+            "Placeholder for pruned messages; variables: {id}, {toolName}, {reason}, {chars}, {tokens}, {filePath}, {distillation}, {age}",
+        ),
+        byReason: stringMap(
+            "Placeholder templates by prune reason (manual, dedupe, distilled, ...)",
+        ),
+        byTool: stringMap("Placeholder templates by tool name; these win over byReason"),
+        dropMessages: boolean(
+            "Leave pruned messages out of the transformed view instead of showing a placeholder",
+        ),
+    }),
+    truncation: section({
+        headLines: integer(0, "Leading lines kept by dcp_prune truncate mode"),
+        tailLines: integer(0, "Trailing lines kept by dcp_prune truncate mode"),
+        keepPatterns: stringArray(
+            "Regular expressions (source or /source/flags); matching lines are kept by truncate mode",
+        ),
+    }),
+    content: section({
+        imageTokens: integer(1, "Fixed token cost counted for each image content block"),
+    }),
+    pairing: section({
+        stripCallInputs: boolean(
+            "When a tool result is pruned, also strip the string arguments of the tool call it answers",
+        ),
+    }),
+    budget: section({
+        enabled: boolean("Automatically prune when the transformed view exceeds the budget limit"),
+        limit: tokenLimit(
+            "High-water mark: absolute tokens or a percentage of the model context window",
+        ),
+        target: tokenLimit(
+            "Low-water mark the autopilot prunes down to: absolute tokens or a percentage of the model context window",
+        ),
+        contextWindow: integer(
+            0,
+            "Model context window in tokens, used for percentages when the runtime does not report one",
+        ),
+    }),
+    nudge: section({
+        enabled: boolean("Append a message listing the prunable inventory to the transformed view"),
+        role: {
+            type: "string",
+            enum: ["system", "assistant", "user"],
+            description: "Role of the nudge message",
+        },
+        minTokens: integer(
+            0,
+            "Nudge whenever the prunable inventory holds at least this many tokens (0 disables)",
+        ),
+        everyToolCalls: integer(
+            0,
+            "Nudge after this many tool calls since the last nudge (0 disables)",
+        ),
+        maxEntries: integer(
+            1,
+            "Most inventory entries listed; past this only the largest are listed",
+        ),
+        template: string(
+            "Nudge text with {count}, {tokens} and {inventory} (one '#id toolName tokens' line per entry)",
+        ),
+    }),
+    strategies: section({
+        deduplication: section({
+            enabled: boolean(
+                "Automatically prune older tool calls with the same tool name and input",
+            ),
+            protectedTools: stringArray("Additional tool names never pruned by deduplication"),
+        }),
+        supersedeWrites: section({
+            enabled: boolean("Drop write/edit tool inputs once the same file is read again later"),
+        }),
+        purgeErrors: section({
+            enabled: boolean("Drop the inputs of failed tool calls after a number of turns"),
+            turns: integer(1, "Turns a failed tool call must age before its input is dropped"),
+            protectedTools: stringArray("Additional tool names never purged by this strategy"),
+        }),
+    }),
+})
+
+export const CONFIG_SCHEMA = Object.freeze(
+    withDefaults(SCHEMA_WITHOUT_DEFAULTS, DEFAULT_CONFIG, ""),
+)
+
+/**
+ * Problems in a raw config, one line each: unknown keys, values of the wrong
+ * type or out of range, invalid globs and regexes, and placeholder templates
+ * with unknown variables. An empty list means the config is used as written.
+ *
+ * @param {unknown} raw
+ * @returns {string[]}
+ */
+export function validateConfig(raw) {
+    if (raw == null) {
+        return []
+    }
+    const warnings = []
+    checkValue(raw, CONFIG_SCHEMA, "", warnings)
+    if (!raw || typeof raw !== "object") {
+        return warnings
+    }
+
+    for (const key of GLOB_KEYS) {
+        for (const pattern of readStrings(raw, key)) {
+            const error = findGlobError(pattern)
+            if (error) {
+                warnings.push(`${key}: invalid glob ${JSON.stringify(pattern)} (${error})`)
+            }
+        }
+    }
+    for (const key of REGEX_KEYS) {
+        for (const pattern of readStrings(raw, key)) {
+            if (!compileContentPattern(pattern)) {
+                warnings.push(`${key}: invalid regular expression ${JSON.stringify(pattern)}`)
+            }
+        }
+    }
+
+    const placeholders = /** @type {Record<string, unknown>} */ (raw).placeholders
+    if (placeholders && typeof placeholders === "object") {
+        const templates = [["placeholders.template", placeholders.template]]
+        for (const mapKey of ["byReason", "byTool"]) {
+            const map = placeholders[mapKey]
+            if (map && typeof map === "object" && !Array.isArray(map)) {
+                for (const [name, template] of Object.entries(map)) {
+                    templates.push([`placeholders.${mapKey}.${name}`, template])
+                }
+            }
+        }
+        for (const [key, template] of templates) {
+            const unknown =
+                typeof template === "string" ? unknownPlaceholderVariables(template) : []
+            if (unknown.length > 0) {
+                warnings.push(
+                    `${key}: unknown template variable ${unknown.map((name) => `{${name}}`).join(", ")}`,
+                )
+            }
+        }
+    }
+
+    return warnings
+}
+
+/**
+ * @param {unknown} value
+ * @param {Record<string, any>} schema
+ * @param {string} key dotted path, empty for the root
+ * @param {string[]} warnings
+ */
+function checkValue(value, schema, key, warnings) {
+    if (schema.oneOf) {
+        if (!schema.oneOf.some((option) => collectWarnings(value, option, key).length === 0)) {
+            warnings.push(mismatch(key, describe(schema), value))
+        }
+        return
+    }
+    if (!matchesType(value, schema.type)) {
+        warnings.push(mismatch(key, describe(schema), value))
+        return
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        warnings.push(mismatch(key, describe(schema), value))
+        return
+    }
+    if (typeof schema.minimum === "number" && value < schema.minimum) {
+        warnings.push(mismatch(key, describe(schema), value))
+        return
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        warnings.push(mismatch(key, describe(schema), value))
+        return
+    }
+    if (schema.type === "array" && schema.items) {
+        value.forEach((item, index) => checkValue(item, schema.items, `${key}[${index}]`, warnings))
+        return
+    }
+    if (schema.type !== "object") {
+        return
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+        const itemKey = key ? `${key}.${name}` : name
+        const itemSchema = schema.properties?.[name]
+        if (itemSchema) {
+            checkValue(item, itemSchema, itemKey, warnings)
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+            checkValue(item, schema.additionalProperties, itemKey, warnings)
+        } else if (schema.additionalProperties === false) {
+            warnings.push(`${itemKey}: unknown key`)
+        }
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @param {Record<string, any>} schema
+ * @param {string} key
+ */
+function collectWarnings(value, schema, key) {
+    const warnings = []
+    checkValue(value, schema, key, warnings)
+    return warnings
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case "object":
+            return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+        case "array":
+            return Array.isArray(value)
+        case "integer":
+            return Number.isInteger(value)
+        default:
+            return typeof value === type
+    }
+}
+
+/** @param {Record<string, any>} schema */
+function describe(schema) {
+    if (schema.oneOf) {
+        return schema.oneOf.map((option) => describe(option)).join(" or ")
+    }
+    if (schema.enum) {
+        return `one of ${schema.enum.join(", ")}`
+    }
+    if (schema.pattern === TOKEN_LIMIT_PATTERN) {
+        return 'a percentage such as "80%"'
+    }
+    if (typeof schema.minimum === "number") {
+        return `${schema.type} >= ${schema.minimum}`
+    }
+    if (schema.type === "array" && schema.items) {
+        return `${schema.items.type}[]`
+    }
+    return schema.type
+}
+
+/**
+ * @param {string} key
+ * @param {string} expected
+ * @param {unknown} value
+ */
+function mismatch(key, expected, value) {
+    const actual = value === undefined ? "undefined" : JSON.stringify(value)
+    return `${key || "config"}: expected ${expected}, got ${actual}`
+}
+
+/**
+ * @param {object} raw
+ * @param {string} key dotted path
+ * @returns {string[]}
+ */
+function readStrings(raw, key) {
+    const value = key.split(".").reduce((current, name) => current?.[name], raw)
+    return Array.isArray(value) ? value.filter((item) => typeof item === "string") : []
+}
+
+/**
+ * Adds `default` to every property from the matching `DEFAULT_CONFIG` value.
+ * A property without a default is a schema/config mismatch and throws, so a
+ * key added to one but not the other fails at import time.
+ *
+ * @param {Record<string, any>} schema
+ * @param {unknown} defaults
+ * @param {string} key
+ */
+function withDefaults(schema, defaults, key) {
+    if (defaults === undefined) {
+        throw new Error(`config schema: no default for ${key}`)
+    }
+    const { description, properties, ...rest } = schema
+    if (!properties) {
+        return { ...rest, default: defaults, ...(description ? { description } : {}) }
+    }
+
+    for (const name of Object.keys(defaults)) {
+        if (!Object.hasOwn(properties, name)) {
+            throw new Error(`config schema: no schema for ${key ? `${key}.${name}` : name}`)
+        }
+    }
+    return {
+        ...rest,
+        properties: Object.fromEntries(
+            Object.entries(properties).map(([name, property]) => {
+                return [name, withDefaults(property, defaults[name], key ? `${key}.${name}` : name)]
+            }),
+        ),
+        default: defaults,
+    }
+}
+
+/** @param {Record<string, Record<string, any>>} properties */
+function section(properties) {
+    return {
+        type: "object",
+        additionalProperties: false,
+        properties,
+    }
+}
+
+/** @param {string} description */
+function boolean(description) {
+    return { type: "boolean", description }
+}
+
+/** @param {string} description */
+function string(description) {
+    return { type: "string", description }
+}
+
+/**
+ * @param {number} minimum
+ * @param {string} description
+ */
+function integer(minimum, description) {
+    return { type: "integer", minimum, description }
+}
+
+/** @param {string} description */
+function stringArray(description) {
+    return { type: "array", items: { type: "string" }, description }
+}
+
+/** @param {string} description */
+function stringMap(description) {
+    return { type: "object", additionalProperties: { type: "string" }, description }
+}
+
+/** @param {string} description */
+function tokenLimit(description) {
+    return {
+        oneOf: [
+            { type: "integer", minimum: 1 },
+            { type: "string", pattern: TOKEN_LIMIT_PATTERN },
+        ],
+        description,
+    }
+}
@@ -1,10 +1,55 @@
-/** @returns {import("./types.js").DcpState} */
-export function createState() {
+export const FALLBACK_SESSION_ID = "default"
+
+const SESSION_ID_KEYS = ["sessionID", "sessionId", "conversationID", "conversationId"]
+const SESSION_OBJECT_KEYS = ["session", "conversation"]
+
+/**
+ * Host hooks registered on one extension instance, shared by every session
+ * state it creates.
+ *
+ * @returns {import("./types.js").DcpRegistry}
+ */
+export function createRegistry() {
     return {
+        protectionRules: new Map(),
+        tokenizers: new Map(),
+    }
+}
+
+/**
+ * @param {string} [sessionID]
+ * @param {import("./types.js").DcpRegistry} [registry]
+ * @returns {import("./types.js").DcpState}
+ */
+export function createState(sessionID = FALLBACK_SESSION_ID, registry = createRegistry()) {
+    return {
+        sessionID,
+        registry,
+        pendingReconcile: false,
         prunedByID: new Map(),
+        prunedInputsByID: new Map(),
+        prunedBlocksByID: new Map(),
+        truncatedByID: new Map(),
+        restoredIDs: new Set(),
+        pinnedIDs: new Set(),
         idMap: new Map(),
         distillationBySourceID: new Map(),
         distillations: [],
+        compressions: [],
+        tokenCache: new Map(),
+        budget: {
+            armed: true,
+            lastTokens: 0,
+        },
+        nudge: {
+            armed: true,
+            lastToolCount: 0,
+        },
+        batch: {
+            lastID: 0,
+            openID: 0,
+        },
+        configOverrides: {},
         inventory: {
             signature: "",
             entries: [],
@@ -14,8 +59,166 @@ export function createState() {
         counters: {
             prunedMessages: 0,
             prunedChars: 0,
+            prunedTokens: 0,
+            distillations: 0,
+            compressions: 0,
+            sweeps: 0,
+        },
+        lifetime: {
+            prunedMessages: 0,
+            prunedChars: 0,
+            prunedTokens: 0,
             distillations: 0,
+            compressions: 0,
             sweeps: 0,
         },
     }
 }
+
+/**
+ * Copy of a session state that a dry run can mutate freely. Records,
+ * distillations, pins and counters are copied; the token cache and the
+ * registry are shared.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @returns {import("./types.js").DcpState}
+ */
+export function cloneState(state) {
+    return {
+        ...state,
+        prunedByID: new Map(state.prunedByID),
+        prunedInputsByID: new Map(state.prunedInputsByID),
+        prunedBlocksByID: new Map(state.prunedBlocksByID),
+        truncatedByID: new Map(state.truncatedByID),
+        restoredIDs: new Set(state.restoredIDs),
+        pinnedIDs: new Set(state.pinnedIDs),
+        idMap: new Map(state.idMap),
+        distillationBySourceID: new Map(state.distillationBySourceID),
+        distillations: state.distillations.map((record) => ({
+            ...record,
+            sourceMessageIDs: [...record.sourceMessageIDs],
+        })),
+        compressions: state.compressions.map((record) => ({
+            ...record,
+            messageIDs: [...record.messageIDs],
+        })),
+        budget: { ...state.budget },
+        nudge: { ...state.nudge },
+        batch: { ...state.batch },
+        inventory: {
+            ...state.inventory,
+            entries: [...state.inventory.entries],
+            numericToMessageID: new Map(state.inventory.numericToMessageID),
+            messageToNumericID: new Map(state.inventory.messageToNumericID),
+        },
+        counters: { ...state.counters },
+        lifetime: { ...state.lifetime },
+    }
+}
+
+/**
+ * Reads the session/conversation ID from a runtime object passed to tools,
+ * commands and transforms. Returns undefined when none is present.
+ *
+ * @param {unknown} runtime
+ */
+export function readSessionID(runtime) {
+    if (!runtime || typeof runtime !== "object") {
+        return undefined
+    }
+    const value = /** @type {Record<string, unknown>} */ (runtime)
+
+    for (const key of SESSION_ID_KEYS) {
+        if (typeof value[key] === "string" && value[key].length > 0) {
+            return /** @type {string} */ (value[key])
+        }
+    }
+    for (const key of SESSION_OBJECT_KEYS) {
+        const nested = value[key]
+        if (nested && typeof nested === "object") {
+            const id = /** @type {Record<string, unknown>} */ (nested).id
+            if (typeof id === "string" && id.length > 0) {
+                return id
+            }
+        }
+    }
+    return undefined
+}
+
+/**
+ * LRU store of per-session state. The fallback bucket serves runtimes without
+ * a session ID and is never evicted.
+ *
+ * @param {Object} options
+ * @param {number} options.maxSessions
+ * @param {string} [options.fallbackID]
+ * @param {(sessionID: string) => import("./types.js").DcpState} [options.load]
+ * @param {(state: import("./types.js").DcpState) => void} [options.onEvict]
+ * @returns {import("./types.js").SessionStore}
+ */
+export function createSessionStore(options) {
+    const fallbackID = options.fallbackID || FALLBACK_SESSION_ID
+    const load = options.load || ((sessionID) => createState(sessionID))
+    const sessions = new Map()
+    const fallback = load(fallbackID)
+
+    function evictIdle() {
+        while (sessions.size > Math.max(0, options.maxSessions)) {
+            const oldestID = sessions.keys().next().value
+            const evicted = sessions.get(oldestID)
+            sessions.delete(oldestID)
+            options.onEvict?.(evicted)
+        }
+    }
+
+    /** @param {string | undefined} sessionID */
+    function get(sessionID) {
+        if (!sessionID || sessionID === fallbackID) {
+            return fallback
+        }
+
+        let state = sessions.get(sessionID)
+        if (state) {
+            sessions.delete(sessionID)
+        } else {
+            state = load(sessionID)
+        }
+        sessions.set(sessionID, state)
+        evictIdle()
+        return state
+    }
+
+    return {
+        fallbackID,
+        fallback,
+        get,
+        forRuntime: (runtime) => get(readSessionID(runtime)),
+        has: (sessionID) => sessionID === fallbackID || sessions.has(sessionID),
+        sessionIDs: () => [fallbackID, ...sessions.keys()],
+    }
+}
+
+/**
+ * Picks the state for a tool/command invocation: the runtime's session when a
+ * store is wired, otherwise the single state passed in the context.
+ *
+ * @param {{ state?: import("./types.js").DcpState, sessions?: import("./types.js").SessionStore }} ctx
+ * @param {unknown} runtime
+ */
+export function resolveState(ctx, runtime) {
+    if (ctx.sessions) {
+        return ctx.sessions.forRuntime(runtime)
+    }
+    return /** @type {import("./types.js").DcpState} */ (ctx.state)
+}
+
+/**
+ * The config in effect for a session: the context's config with the session's
+ * `/dcp set` overrides applied, when the context resolves them.
+ *
+ * @param {{ config: import("./types.js").ExtensionConfig, configFor?: (state: import("./types.js").DcpState) => import("./types.js").ExtensionConfig }} ctx
+ * @param {import("./types.js").DcpState} state
+ */
+export function resolveConfig(ctx, state) {
+    return ctx.configFor ? ctx.configFor(state) : ctx.config
+}
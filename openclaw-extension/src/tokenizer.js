@@ -0,0 +1,136 @@
+/**
+ * Pluggable token counting for inventory, context and counter reporting.
+ *
+ * The default `auto` tokenizer uses the offline BPE tokenizer from
+ * `@anthropic-ai/tokenizer` when it can be resolved, and falls back to the
+ * chars/4 heuristic otherwise. Hosts can add their own per extension instance
+ * with `registerTokenizer`.
+ */
+
+import { createHash } from "node:crypto"
+import { createRequire } from "node:module"
+
+const require = createRequire(import.meta.url)
+
+const MAX_CACHE_ENTRIES = 5000
+
+/** @type {import("./types.js").Tokenizer} */
+export const heuristicTokenizer = Object.freeze({
+    name: "heuristic",
+    countTokens(text) {
+        if (!text) {
+            return 0
+        }
+        return Math.ceil(text.length / 4)
+    },
+})
+
+/** @type {import("./types.js").Tokenizer | null | undefined} */
+let bpeTokenizer
+
+function loadBpeTokenizer() {
+    if (bpeTokenizer !== undefined) {
+        return bpeTokenizer
+    }
+    try {
+        const { countTokens } = require("@anthropic-ai/tokenizer")
+        bpeTokenizer = {
+            name: "anthropic",
+            countTokens: (text) => (text ? countTokens(text) : 0),
+        }
+    } catch {
+        // noop: the optional dependency is not installed next to the extension
+        bpeTokenizer = null
+    }
+    return bpeTokenizer
+}
+
+/**
+ * Adds a tokenizer the registry's extension instance can select by name.
+ * Returns a function that removes it again.
+ *
+ * @param {import("./types.js").DcpRegistry} registry
+ * @param {string} name
+ * @param {{ countTokens: (text: string) => number }} tokenizer
+ * @returns {() => void}
+ */
+export function registerTokenizer(registry, name, tokenizer) {
+    if (!name || typeof tokenizer?.countTokens !== "function") {
+        throw new Error("openclaw-dcp-extension: tokenizer needs a name and countTokens(text)")
+    }
+    const registered = { name, countTokens: (text) => tokenizer.countTokens(text) }
+    registry.tokenizers.set(name, registered)
+    return () => {
+        if (registry.tokenizers.get(name) === registered) {
+            registry.tokenizers.delete(name)
+        }
+    }
+}
+
+/**
+ * Resolves a tokenizer by config name, preferring ones registered on
+ * `registry`. Unknown names and an unavailable BPE tokenizer resolve to the
+ * heuristic.
+ *
+ * @param {string} name
+ * @param {import("./types.js").DcpRegistry} [registry]
+ * @returns {import("./types.js").Tokenizer}
+ */
+export function resolveTokenizer(name, registry) {
+    const registered = registry?.tokenizers.get(name)
+    if (registered) {
+        return registered
+    }
+    if (name === "auto" || name === "anthropic") {
+        return loadBpeTokenizer() || heuristicTokenizer
+    }
+    return heuristicTokenizer
+}
+
+/**
+ * @param {string} text
+ * @param {import("./types.js").Tokenizer} tokenizer
+ */
+export function countTokens(text, tokenizer) {
+    if (!text) {
+        return 0
+    }
+    try {
+        const count = tokenizer.countTokens(text)
+        if (Number.isFinite(count) && count >= 0) {
+            return count
+        }
+    } catch {
+        // noop: fall through to the heuristic
+    }
+    return heuristicTokenizer.countTokens(text)
+}
+
+/**
+ * Counts tokens for a message's text, cached per session by message ID,
+ * content hash and tokenizer name.
+ *
+ * @param {import("./types.js").DcpState} state
+ * @param {string | undefined} messageID
+ * @param {string} text
+ * @param {import("./types.js").Tokenizer} tokenizer
+ */
+export function countMessageTokens(state, messageID, text, tokenizer) {
+    if (typeof messageID !== "string" || !text) {
+        return countTokens(text, tokenizer)
+    }
+
+    const hash = createHash("sha1").update(text).digest("base64")
+    const key = `${tokenizer.name}:${messageID}:${hash}`
+    const cached = state.tokenCache.get(key)
+    if (cached !== undefined) {
+        return cached
+    }
+
+    const tokens = countTokens(text, tokenizer)
+    state.tokenCache.set(key, tokens)
+    if (state.tokenCache.size > MAX_CACHE_ENTRIES) {
+        state.tokenCache.delete(state.tokenCache.keys().next().value)
+    }
+    return tokens
+}
@@ -1,100 +1,185 @@
 import {
+    compressRange,
     createDistillation,
     createTransformedView,
     getPrunableInventory,
+    measureSavings,
+    pruneBlocksByIDs,
     pruneByIDs,
+    resolveInventoryBlockIDs,
     resolveInventoryMessageIDs,
+    restoreByIDs,
+    selectRestoreIDs,
     sweep,
+    truncateByIDs,
+    withBatch,
 } from "./core.js"
+import { reconcileRestoredState } from "./persistence.js"
+import { cloneState, resolveConfig, resolveState } from "./state.js"
 
 /**
  * Adapter-level tool registration for OpenClaw-style runtimes.
  *
+ * `dcp_prune` and `dcp_distill` accept `dryRun: true`: the operation runs
+ * against a copy of the session state and reports what would change, along
+ * with the projected savings, without touching the real state.
+ *
+ * `dcp_prune` with `mode: "truncate"` keeps the head, tail and keep-pattern
+ * lines of each message instead of replacing it with a placeholder. In prune
+ * mode, an ID like `3.2` prunes only the second content block of entry 3.
+ *
  * @param {Object} ctx
- * @param {import("./types.js").DcpState} ctx.state
+ * @param {import("./types.js").DcpState} [ctx.state]
+ * @param {import("./types.js").SessionStore} [ctx.sessions]
  * @param {import("./types.js").ExtensionConfig} ctx.config
+ * @param {(state: import("./types.js").DcpState) => import("./types.js").ExtensionConfig} [ctx.configFor] config with session overrides
+ * @param {(state: import("./types.js").DcpState) => void} [ctx.persist]
  */
 export function createTools(ctx) {
     return {
         dcp_prune: async (input, runtime) => {
+            const sessionState = resolveState(ctx, runtime)
+            const config = resolveConfig(ctx, sessionState)
             const messages = extractMessages(runtime)
-            getPrunableInventory(messages, ctx.state, ctx.config)
+            reconcileRestoredState(sessionState, messages)
+            const dryRun = input?.dryRun === true
+            const state = dryRun ? cloneState(sessionState) : sessionState
+            getPrunableInventory(messages, state, config)
             const inventoryIDs = normalizeIDs(input?.ids)
             const reason =
                 typeof input?.reason === "string" && input.reason.length > 0
                     ? input.reason
                     : "manual"
+            const truncate = input?.mode === "truncate"
 
             if (inventoryIDs.length === 0) {
-                const result = sweep(messages, ctx.state, ctx.config, undefined)
+                if (truncate) {
+                    return {
+                        ok: false,
+                        tool: "dcp_prune",
+                        error: "truncate mode needs inventory ids",
+                    }
+                }
+                // Sweep filters come straight from the tool input
+                const result = sweep(messages, state, config, undefined, input)
+                if (!dryRun) {
+                    ctx.persist?.(state)
+                }
                 return {
                     ok: true,
                     tool: "dcp_prune",
                     mode: "sweep",
                     ...result,
-                    transformedView: summarizeView(messages, ctx.state, ctx.config),
+                    ...describeDryRun(dryRun, messages, sessionState, state, config),
+                    transformedView: summarizeView(messages, state, config),
                 }
             }
 
-            const resolved = resolveInventoryMessageIDs(ctx.state, inventoryIDs)
-            const result = pruneByIDs(
-                messages,
-                ctx.state,
-                ctx.config,
-                resolved.resolvedMessageIDs,
-                reason,
-                undefined,
+            // Block targets (`3.2`) only apply to prune mode
+            const blockIDs = truncate ? [] : inventoryIDs.filter((id) => id.includes("."))
+            const resolved = resolveInventoryMessageIDs(
+                state,
+                inventoryIDs.filter((id) => !blockIDs.includes(id)),
             )
+            const resolvedBlocks = resolveInventoryBlockIDs(state, blockIDs)
+            // Block and message prunes from one call are restored together
+            const { blockResult, result } = withBatch(state, () => ({
+                blockResult: pruneBlocksByIDs(
+                    messages,
+                    state,
+                    config,
+                    resolvedBlocks.targets,
+                    reason,
+                ),
+                result: truncate
+                    ? truncateByIDs(
+                          messages,
+                          state,
+                          config,
+                          resolved.resolvedMessageIDs,
+                          reason,
+                          input,
+                      )
+                    : pruneByIDs(
+                          messages,
+                          state,
+                          config,
+                          resolved.resolvedMessageIDs,
+                          reason,
+                          undefined,
+                      ),
+            }))
+            if (!dryRun) {
+                ctx.persist?.(state)
+            }
 
             return {
                 ok: true,
                 tool: "dcp_prune",
-                mode: "inventory",
+                mode: truncate ? "truncate" : "inventory",
                 inventoryIDs,
-                unresolvedInventoryIDs: resolved.missingIDs,
+                unresolvedInventoryIDs: [...resolved.missingIDs, ...resolvedBlocks.missingIDs],
                 ...result,
-                transformedView: summarizeView(messages, ctx.state, ctx.config),
+                prunedIDs: [...result.prunedIDs, ...blockResult.prunedIDs],
+                protectedIDs: [...result.protectedIDs, ...blockResult.protectedIDs],
+                protectedReasons: { ...result.protectedReasons, ...blockResult.protectedReasons },
+                missingIDs: [...result.missingIDs, ...blockResult.missingIDs],
+                ...describeDryRun(dryRun, messages, sessionState, state, config),
+                transformedView: summarizeView(messages, state, config),
             }
         },
 
         dcp_distill: async (input, runtime) => {
+            const sessionState = resolveState(ctx, runtime)
+            const config = resolveConfig(ctx, sessionState)
             const messages = extractMessages(runtime)
-            getPrunableInventory(messages, ctx.state, ctx.config)
-            const targets = normalizeTargets(input?.targets)
+            reconcileRestoredState(sessionState, messages)
+            const dryRun = input?.dryRun === true
+            const state = dryRun ? cloneState(sessionState) : sessionState
+            const inventory = getPrunableInventory(messages, state, config)
+            const targets = normalizeTargets(input?.targets, inventory.length)
 
             const distillations = []
             const prunedIDs = []
             const protectedIDs = []
+            const protectedReasons = {}
             const missingIDs = []
             const unresolvedInventoryIDs = []
 
-            for (const target of targets) {
-                const resolved = resolveInventoryMessageIDs(ctx.state, [target.id])
-                if (resolved.missingIDs.length > 0) {
+            // Every target of one call is one batch for `restore last`
+            withBatch(state, () => {
+                for (const target of targets) {
+                    const resolved = resolveInventoryMessageIDs(state, target.ids)
                     unresolvedInventoryIDs.push(...resolved.missingIDs)
-                    continue
-                }
+                    if (resolved.resolvedMessageIDs.length === 0) {
+                        continue
+                    }
 
-                const messageID = resolved.resolvedMessageIDs[0]
-                const distillation = createDistillation(
-                    messages,
-                    ctx.state,
-                    [messageID],
-                    target.distillation,
-                )
-                distillations.push(distillation)
+                    // Several sources collapse into one distillation record
+                    const distillation = createDistillation(
+                        messages,
+                        state,
+                        resolved.resolvedMessageIDs,
+                        target.distillation,
+                    )
+                    distillations.push(distillation)
 
-                const pruneResult = pruneByIDs(
-                    messages,
-                    ctx.state,
-                    ctx.config,
-                    [messageID],
-                    "distilled",
-                    distillation.id,
-                )
-                prunedIDs.push(...pruneResult.prunedIDs)
-                protectedIDs.push(...pruneResult.protectedIDs)
-                missingIDs.push(...pruneResult.missingIDs)
+                    const pruneResult = pruneByIDs(
+                        messages,
+                        state,
+                        config,
+                        resolved.resolvedMessageIDs,
+                        "distilled",
+                        distillation.id,
+                    )
+                    prunedIDs.push(...pruneResult.prunedIDs)
+                    protectedIDs.push(...pruneResult.protectedIDs)
+                    Object.assign(protectedReasons, pruneResult.protectedReasons)
+                    missingIDs.push(...pruneResult.missingIDs)
+                }
+            })
+            if (!dryRun) {
+                ctx.persist?.(state)
             }
 
             return {
@@ -104,14 +189,98 @@ export function createTools(ctx) {
                 targetsApplied: targets.length,
                 prunedIDs,
                 protectedIDs,
+                protectedReasons,
                 missingIDs,
                 unresolvedInventoryIDs,
-                transformedView: summarizeView(messages, ctx.state, ctx.config),
+                ...describeDryRun(dryRun, messages, sessionState, state, config),
+                transformedView: summarizeView(messages, state, config),
+            }
+        },
+
+        dcp_compress: async (input, runtime) => {
+            const state = resolveState(ctx, runtime)
+            const config = resolveConfig(ctx, state)
+            const messages = extractMessages(runtime)
+            reconcileRestoredState(state, messages)
+            const startString = readText(input?.startString)
+            const endString = readText(input?.endString)
+            const summary = readText(input?.summary)
+            if (!startString || !endString || !summary) {
+                return {
+                    ok: false,
+                    tool: "dcp_compress",
+                    error: "startString, endString and summary are required",
+                }
+            }
+
+            const result = compressRange(messages, state, config, {
+                startString,
+                endString,
+                summary,
+                topic: readText(input?.topic),
+            })
+            if (result.error) {
+                return {
+                    ok: false,
+                    tool: "dcp_compress",
+                    error: result.error,
+                    protectedIDs: result.protectedIDs || [],
+                    protectedReasons: result.protectedReasons || {},
+                }
+            }
+            ctx.persist?.(state)
+
+            return {
+                ok: true,
+                tool: "dcp_compress",
+                ...result,
+                transformedView: summarizeView(messages, state, config),
+            }
+        },
+
+        dcp_restore: async (input, runtime) => {
+            const state = resolveState(ctx, runtime)
+            const config = resolveConfig(ctx, state)
+            const messages = extractMessages(runtime)
+            reconcileRestoredState(state, messages)
+            const mode = input?.mode === "all" || input?.mode === "last" ? input.mode : "ids"
+            const messageIDs =
+                mode === "ids" ? normalizeIDs(input?.ids) : selectRestoreIDs(state, mode)
+
+            const result = restoreByIDs(state, messageIDs)
+            ctx.persist?.(state)
+
+            return {
+                ok: true,
+                tool: "dcp_restore",
+                mode,
+                ...result,
+                transformedView: summarizeView(messages, state, config),
             }
         },
     }
 }
 
+/**
+ * Extra result fields for dry runs: the flag and the projected savings of the
+ * previewed state over the session state.
+ *
+ * @param {boolean} dryRun
+ * @param {import("./types.js").DcpMessage[]} messages
+ * @param {import("./types.js").DcpState} sessionState
+ * @param {import("./types.js").DcpState} previewState
+ * @param {import("./types.js").ExtensionConfig} config
+ */
+function describeDryRun(dryRun, messages, sessionState, previewState, config) {
+    if (!dryRun) {
+        return {}
+    }
+    return {
+        dryRun: true,
+        projectedSavings: measureSavings(messages, sessionState, previewState, config),
+    }
+}
+
 /** @param {unknown} runtime */
 function extractMessages(runtime) {
     if (runtime && typeof runtime === "object" && Array.isArray(runtime.messages)) {
@@ -129,7 +298,19 @@ function normalizeIDs(value) {
 }
 
 /** @param {unknown} value */
-function normalizeTargets(value) {
+function readText(value) {
+    return typeof value === "string" ? value.trim() : ""
+}
+
+/**
+ * Each target names one inventory ID (`id`), several (`ids`), or a contiguous
+ * inventory range (`range: { from, to }`). IDs already claimed by an earlier
+ * target are skipped.
+ *
+ * @param {unknown} value
+ * @param {number} inventorySize ranges are clamped to `1..inventorySize`
+ */
+function normalizeTargets(value, inventorySize) {
     if (!Array.isArray(value)) {
         return []
     }
@@ -141,25 +322,51 @@ function normalizeTargets(value) {
             continue
         }
         const target = /** @type {Record<string, unknown>} */ (rawTarget)
-        const id = typeof target.id === "string" && target.id.length > 0 ? target.id : ""
         const distillation =
             typeof target.distillation === "string" && target.distillation.trim().length > 0
                 ? target.distillation.trim()
                 : "Distilled context summary was not provided by the caller."
-        if (!id) {
+        const ids = collectTargetIDs(target, inventorySize).filter((id) => !seenIDs.has(id))
+        if (ids.length === 0) {
             continue
         }
-        if (seenIDs.has(id)) {
-            continue
+        for (const id of ids) {
+            seenIDs.add(id)
         }
-        seenIDs.add(id)
-        targets.push({ id, distillation })
+        targets.push({ ids, distillation })
     }
     return targets
 }
 
+/**
+ * @param {Record<string, unknown>} target
+ * @param {number} inventorySize
+ */
+function collectTargetIDs(target, inventorySize) {
+    const ids = []
+    if (typeof target.id === "string" && target.id.length > 0) {
+        ids.push(target.id)
+    }
+    ids.push(...normalizeIDs(target.ids))
+
+    const range = target.range && typeof target.range === "object" ? target.range : undefined
+    if (range) {
+        const from = Number.parseInt(String(range.from ?? ""), 10)
+        const to = Number.parseInt(String(range.to ?? ""), 10)
+        if (Number.isFinite(from) && Number.isFinite(to)) {
+            // The range comes from the model; only inventory IDs can resolve
+            const last = Math.min(Math.max(from, to), inventorySize)
+            for (let id = Math.max(Math.min(from, to), 1); id <= last; id += 1) {
+                ids.push(String(id))
+            }
+        }
+    }
+
+    return [...new Set(ids)]
+}
+
 function summarizeView(messages, state, config) {
-    const transformed = createTransformedView(messages, state)
+    const transformed = createTransformedView(messages, state, config)
     const inventory = getPrunableInventory(messages, state, config)
     return {
         totalMessages: transformed.length,
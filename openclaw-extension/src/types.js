@@ -14,6 +14,18 @@
  * @property {Object<string, unknown>} [input]
  * @property {Object<string, unknown>} [meta]
  * @property {string} [filePath]
+ * @property {string} [status]
+ * @property {boolean} [isError]
+ */
+
+/**
+ * One block of a content-block array. `text`, `tool_result` and `image` blocks
+ * are prunable; other types are left intact.
+ *
+ * @typedef {Object} ContentBlock
+ * @property {string} type
+ * @property {string} [text]
+ * @property {unknown} [content]
  */
 
 /**
@@ -21,7 +33,76 @@
  * @property {boolean} enabled
  * @property {string[]} protectedTools
  * @property {string[]} protectedFilePatterns
+ * @property {string[]} protectedContentPatterns
+ * @property {{ enabled: boolean, turns: number }} turnProtection
+ * @property {string} tokenizer
  * @property {{ enabled: boolean }} commands
+ * @property {{ configFile: string, intervalMs: number }} reload
+ * @property {{ enabled: boolean, directory: string }} persistence
+ * @property {{ maxSessions: number }} sessions
+ * @property {{ template: string, combineConsecutive: boolean }} distillation
+ * @property {PlaceholderConfig} placeholders
+ * @property {TruncationOptions} truncation
+ * @property {{ imageTokens: number }} content
+ * @property {{ stripCallInputs: boolean }} pairing
+ * @property {{ enabled: boolean, limit: number | string, target: number | string, contextWindow: number }} budget
+ * @property {NudgeConfig} nudge
+ * @property {StrategiesConfig} strategies
+ */
+
+/**
+ * @typedef {Object} ConfigLayer
+ * @property {"host" | "file" | "project" | "session"} name
+ * @property {unknown} raw
+ */
+
+/**
+ * @typedef {Object} ConfigReloadResult
+ * @property {string[]} changedKeys settings whose effective value changed
+ * @property {string[]} restartKeys changed settings that only apply after a restart
+ * @property {string[]} warnings
+ */
+
+/**
+ * @typedef {Object} NudgeConfig
+ * @property {boolean} enabled
+ * @property {"system" | "assistant" | "user"} role
+ * @property {number} minTokens
+ * @property {number} everyToolCalls
+ * @property {number} maxEntries
+ * @property {string} template
+ */
+
+/**
+ * @typedef {Object} StrategiesConfig
+ * @property {{ enabled: boolean, protectedTools: string[] }} deduplication
+ * @property {{ enabled: boolean }} supersedeWrites
+ * @property {{ enabled: boolean, turns: number, protectedTools: string[] }} purgeErrors
+ */
+
+/**
+ * @typedef {Object} SweepFilters
+ * @property {string[]} tools
+ * @property {number} minTokens
+ * @property {number} olderThan
+ * @property {boolean} all
+ * @property {number} largest
+ */
+
+/**
+ * @typedef {Object} TruncationOptions
+ * @property {number} headLines
+ * @property {number} tailLines
+ * @property {string[]} keepPatterns regular expressions, from config only
+ * @property {string[]} [keepText] literal substrings, from `dcp_prune` input
+ */
+
+/**
+ * @typedef {Object} PlaceholderConfig
+ * @property {string} template
+ * @property {Record<string, string>} byReason
+ * @property {Record<string, string>} byTool keys are lower-case tool names
+ * @property {boolean} dropMessages
  */
 
 /**
@@ -29,8 +110,13 @@
  * @property {string} reason
  * @property {string | undefined} toolName
  * @property {number} chars
+ * @property {number} [tokens]
  * @property {number} at
+ * @property {number} [batch] shared by the records of one operation; see `withBatch`
  * @property {string | undefined} distillationID
+ * @property {string} [compressionID]
+ * @property {TruncationOptions & { elidedLines: number }} [truncation]
+ * @property {number[]} [blocks]
  */
 
 /**
@@ -41,6 +127,15 @@
  * @property {number} at
  */
 
+/**
+ * @typedef {Object} CompressionRecord
+ * @property {string} id
+ * @property {string} topic
+ * @property {string} summary
+ * @property {string[]} messageIDs
+ * @property {number} at
+ */
+
 /**
  * @typedef {Object} InventoryEntry
  * @property {string} id
@@ -49,16 +144,82 @@
  * @property {string} toolName
  * @property {number} chars
  * @property {number} estimatedTokens
+ * @property {string[]} [blockTypes]
+ */
+
+/**
+ * @typedef {Object} DcpCounters
+ * @property {number} prunedMessages
+ * @property {number} prunedChars
+ * @property {number} prunedTokens
+ * @property {number} distillations
+ * @property {number} compressions
+ * @property {number} sweeps
+ */
+
+/**
+ * @typedef {Object} Tokenizer
+ * @property {string} name
+ * @property {(text: string) => number} countTokens
+ */
+
+/**
+ * @typedef {Object} DcpRegistry
+ * @property {Map<string, (message: DcpMessage) => boolean>} protectionRules
+ * @property {Map<string, Tokenizer>} tokenizers
  */
 
 /**
  * @typedef {Object} DcpState
+ * @property {string} sessionID
+ * @property {DcpRegistry} registry host hooks of the extension instance; not persisted
+ * @property {boolean} pendingReconcile
  * @property {Map<string, PrunedRecord>} prunedByID
+ * @property {Map<string, PrunedRecord>} prunedInputsByID
+ * @property {Map<string, PrunedRecord>} prunedBlocksByID
+ * @property {Map<string, PrunedRecord>} truncatedByID
+ * @property {Set<string>} restoredIDs
+ * @property {Set<string>} pinnedIDs
  * @property {Map<string, { originalID: string, transformedID: string, pruned: boolean }>} idMap
  * @property {Map<string, string>} distillationBySourceID
  * @property {DistillationRecord[]} distillations
+ * @property {CompressionRecord[]} compressions
+ * @property {Map<string, number>} tokenCache
+ * @property {{ armed: boolean, lastTokens: number }} budget
+ * @property {{ armed: boolean, lastToolCount: number }} nudge
+ * @property {{ lastID: number, openID: number }} batch prune batch IDs; `openID` is set inside `withBatch`, -1 until its first record
+ * @property {Record<string, unknown>} configOverrides raw config set with `/dcp set`
  * @property {{ signature: string, entries: InventoryEntry[], numericToMessageID: Map<string, string>, messageToNumericID: Map<string, string> }} inventory
- * @property {{ prunedMessages: number, prunedChars: number, distillations: number, sweeps: number }} counters
+ * @property {DcpCounters} counters what is pruned right now; restores take from these
+ * @property {DcpCounters} lifetime everything ever pruned in the session; never goes down
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {string} fallbackID
+ * @property {DcpState} fallback
+ * @property {(sessionID: string | undefined) => DcpState} get
+ * @property {(runtime: unknown) => DcpState} forRuntime
+ * @property {(sessionID: string) => boolean} has
+ * @property {() => string[]} sessionIDs
+ */
+
+/**
+ * @typedef {Object} PersistedState
+ * @property {number} version
+ * @property {string} sessionID
+ * @property {Object<string, PrunedRecord>} prunedByID
+ * @property {Object<string, PrunedRecord>} prunedInputsByID
+ * @property {Object<string, PrunedRecord>} prunedBlocksByID
+ * @property {Object<string, PrunedRecord>} truncatedByID
+ * @property {string[]} restoredIDs
+ * @property {string[]} pinnedIDs
+ * @property {Record<string, unknown>} configOverrides
+ * @property {DistillationRecord[]} distillations
+ * @property {CompressionRecord[]} compressions
+ * @property {DcpCounters} counters
+ * @property {DcpCounters} lifetime
+ * @property {string} lastUpdated
  */
 
 export {}
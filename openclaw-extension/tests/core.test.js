@@ -1,13 +1,69 @@
-import test from "node:test"
+import test, { afterEach, beforeEach } from "node:test"
 import assert from "node:assert/strict"
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
 
+import { applyBudget, resolveTokenLimit } from "../src/budget.js"
 import { normalizeConfig } from "../src/config.js"
 import { createCommandHandler } from "../src/commands.js"
 import openClawDcpPlugin, { createOpenClawDcpExtension, register } from "../src/index.js"
-import { createState } from "../src/state.js"
-import { createTransformedView, getPrunableInventory, pruneByIDs, sweep } from "../src/core.js"
+import {
+    PERSISTED_STATE_VERSION,
+    getSessionFilePath,
+    loadState,
+    reconcileRestoredState,
+    restoreState,
+    saveState,
+    serializeState,
+} from "../src/persistence.js"
+import { CONFIG_SCHEMA, validateConfig } from "../src/schema.js"
+import { createRegistry, createSessionStore, createState, readSessionID } from "../src/state.js"
+import {
+    collectSweepCandidates,
+    compressRange,
+    createDistillation,
+    createTransformedView,
+    deduplicate,
+    getTurnAges,
+    getPrunableInventory,
+    pruneByIDs,
+    registerProtectionRule,
+    purgeErrors,
+    restoreByIDs,
+    selectRestoreIDs,
+    supersedeWrites,
+    sweep,
+} from "../src/core.js"
+import {
+    countMessageTokens,
+    heuristicTokenizer,
+    registerTokenizer,
+    resolveTokenizer,
+} from "../src/tokenizer.js"
+import { collectFilePaths, expandBraces, matchesAnyGlob, matchesGlob } from "../src/glob.js"
 import { createTools } from "../src/tools.js"
 
+beforeEach(() => {
+    process.env.XDG_DATA_HOME = mkdtempSync(join(tmpdir(), "dcp-openclaw-"))
+})
+
+afterEach(() => {
+    rmSync(process.env.XDG_DATA_HOME, { recursive: true, force: true })
+})
+
+/**
+ * Temporary directory removed when the test ends.
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {string} prefix
+ */
+function makeTempDir(t, prefix) {
+    const directory = mkdtempSync(join(tmpdir(), prefix))
+    t.after(() => rmSync(directory, { recursive: true, force: true }))
+    return directory
+}
+
 test("id mapping and transformed placeholders are preserved", () => {
     const config = normalizeConfig({})
     const state = createState()
@@ -167,7 +223,7 @@ test("dcp_distill accepts targets and stores per-id summaries", async () => {
 })
 
 test("/dcp context shows numbered prunable inventory", async () => {
-    const config = normalizeConfig({})
+    const config = normalizeConfig({ tokenizer: "heuristic" })
     const state = createState()
     const command = createCommandHandler({ state, config })
     const runtime = {
@@ -211,10 +267,10 @@ test("plugin register wires tools and command on host api", async () => {
     const extension = register(api)
 
     assert.equal(extension.id, "openclaw-dcp-extension")
-    assert.equal(calls.tools.length, 2)
+    assert.equal(calls.tools.length, 4)
     assert.deepEqual(
         calls.tools.map((entry) => entry.name),
-        ["dcp_prune", "dcp_distill"],
+        ["dcp_prune", "dcp_distill", "dcp_compress", "dcp_restore"],
     )
     assert.equal(calls.tools[0].payload.parameters.properties.ids.type, "array")
     assert.equal(calls.tools[1].payload.parameters.properties.targets.type, "array")
@@ -261,10 +317,10 @@ test("plugin register prefers object-style tool and command registration", async
 
     register(api)
 
-    assert.equal(calls.tools.length, 2)
+    assert.equal(calls.tools.length, 4)
     assert.deepEqual(
         calls.tools.map((entry) => entry.name),
-        ["dcp_prune", "dcp_distill"],
+        ["dcp_prune", "dcp_distill", "dcp_compress", "dcp_restore"],
     )
     assert.equal(typeof calls.tools[0].execute, "function")
     assert.equal(typeof calls.tools[0].handler, "function")
@@ -333,3 +389,1692 @@ test("plugin register gracefully no-ops when host api methods are missing", () =
     assert.equal(extension.enabled, true)
     assert.equal(typeof extension.tools.dcp_prune, "function")
 })
+
+test("persisted state round-trips prune records, distillations and counters", (t) => {
+    const directory = makeTempDir(t, "dcp-state-")
+    const config = normalizeConfig({})
+    const state = createState("session-a")
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "aaa" },
+        { id: "t2", role: "tool", toolName: "bash", content: "bbb" },
+    ]
+
+    const distillation = createDistillation(messages, state, ["t2"], "bbb summary")
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    pruneByIDs(messages, state, config, ["t2"], "distilled", distillation.id)
+    assert.equal(saveState(state, directory), true)
+    // The snapshot is renamed into place, leaving no temp file behind
+    assert.deepEqual(readdirSync(directory), ["session-a.json"])
+
+    const persisted = loadState("session-a", directory)
+    assert.equal(persisted?.version, PERSISTED_STATE_VERSION)
+
+    const restored = createState("session-a")
+    restoreState(restored, persisted)
+    assert.deepEqual([...restored.prunedByID.keys()], ["t1", "t2"])
+    assert.equal(restored.prunedByID.get("t2")?.distillationID, distillation.id)
+    assert.equal(restored.distillationBySourceID.get("t2"), distillation.id)
+    assert.deepEqual(restored.counters, state.counters)
+})
+
+test("restored state drops records for messages no longer in the session", (t) => {
+    const directory = makeTempDir(t, "dcp-state-")
+    const config = normalizeConfig({})
+    const state = createState("session-b")
+    const messages = [
+        { id: "t1", role: "tool", toolName: "bash", content: "aaa" },
+        { id: "t2", role: "tool", toolName: "bash", content: "bbb" },
+    ]
+
+    const distillation = createDistillation(messages, state, ["t1"], "aaa summary")
+    pruneByIDs(messages, state, config, ["t1"], "distilled", distillation.id)
+    pruneByIDs(messages, state, config, ["t2"], "manual", undefined)
+    saveState(state, directory)
+
+    const restored = createState("session-b")
+    restoreState(restored, loadState("session-b", directory))
+
+    assert.equal(reconcileRestoredState(restored, [messages[1]]), true)
+    assert.deepEqual([...restored.prunedByID.keys()], ["t2"])
+    assert.equal(restored.distillations.length, 0)
+    assert.equal(restored.distillationBySourceID.size, 0)
+    assert.deepEqual(restored.counters, {
+        ...state.counters,
+        prunedMessages: 1,
+        prunedChars: 3,
+        prunedTokens: state.prunedByID.get("t2").tokens,
+        distillations: 0,
+    })
+    assert.deepEqual(restored.lifetime, state.lifetime)
+    assert.equal(reconcileRestoredState(restored, [messages[1]]), false)
+})
+
+test("persisted snapshots from unknown schema versions are ignored", (t) => {
+    const directory = makeTempDir(t, "dcp-state-")
+    const filePath = getSessionFilePath(directory, "session-c")
+
+    writeFileSync(filePath, JSON.stringify({ version: 99, prunedByID: {} }))
+    assert.equal(loadState("session-c", directory), null)
+
+    writeFileSync(
+        filePath,
+        JSON.stringify({ prunedByID: { t1: { reason: "manual", chars: 3 } }, counters: {} }),
+    )
+    const legacy = loadState("session-c", directory)
+    assert.equal(legacy?.version, PERSISTED_STATE_VERSION)
+    assert.equal(legacy?.prunedByID.t1.reason, "manual")
+
+    writeFileSync(
+        filePath,
+        '{"prunedByID":{"__proto__":{"reason":"manual","chars":3},"t2":{"reason":"sweep"}}}',
+    )
+    const hostile = loadState("session-c", directory)
+    assert.deepEqual(Object.keys(hostile.prunedByID), ["t2"])
+    assert.equal(Object.getPrototypeOf(hostile.prunedByID), Object.prototype)
+    assert.equal(hostile.prunedByID.reason, undefined)
+})
+
+test("register restores persisted session state for the host session", async (t) => {
+    const directory = makeTempDir(t, "dcp-state-")
+    const config = { persistence: { directory } }
+    const runtime = {
+        messages: [
+            { id: "u1", role: "user", content: "start" },
+            { id: "t1", role: "tool", toolName: "bash", content: "aaa" },
+        ],
+    }
+
+    const first = register({ config, sessionID: "chat/1" })
+    await first.tools.dcp_prune({ ids: ["1"] }, runtime)
+    const saved = JSON.parse(readFileSync(getSessionFilePath(directory, "chat/1"), "utf-8"))
+    assert.deepEqual(Object.keys(saved.prunedByID), ["t1"])
+
+    const second = register({ config, sessionID: "chat/1" })
+    assert.equal(second.state.prunedByID.has("t1"), true)
+    assert.equal(second.state.counters.prunedMessages, 1)
+
+    const transformed = second.hooks.chatMessagesTransform(runtime.messages)
+    assert.match(String(transformed[1].content), /dcp-pruned id=t1/)
+
+    const disabled = register({ config: { ...config, persistence: { enabled: false } } })
+    assert.equal(disabled.state.prunedByID.size, 0)
+})
+
+test("session IDs are read from common runtime shapes", () => {
+    assert.equal(readSessionID({ sessionID: "s1" }), "s1")
+    assert.equal(readSessionID({ sessionId: "s2" }), "s2")
+    assert.equal(readSessionID({ conversationId: "c1" }), "c1")
+    assert.equal(readSessionID({ session: { id: "s3" } }), "s3")
+    assert.equal(readSessionID({ messages: [] }), undefined)
+    assert.equal(readSessionID(undefined), undefined)
+})
+
+test("session store evicts least recently used sessions but keeps the fallback", () => {
+    const evicted = []
+    const store = createSessionStore({
+        maxSessions: 2,
+        onEvict: (state) => evicted.push(state.sessionID),
+    })
+
+    const a = store.get("a")
+    store.get("b")
+    assert.equal(store.get("a"), a)
+    store.get("c")
+
+    assert.deepEqual(evicted, ["b"])
+    assert.deepEqual(store.sessionIDs(), ["default", "a", "c"])
+    assert.equal(store.forRuntime({ messages: [] }), store.fallback)
+    assert.equal(store.get(undefined).sessionID, "default")
+})
+
+test("extension keeps prune state isolated per runtime session", async () => {
+    const extension = createOpenClawDcpExtension({ persistence: { enabled: false } })
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "aaa" },
+        { id: "t2", role: "tool", toolName: "bash", content: "bbb" },
+    ]
+    const first = { sessionID: "chat-1", messages }
+    const second = { sessionID: "chat-2", messages }
+
+    const pruned = await extension.tools.dcp_prune({ ids: ["1"] }, first)
+    assert.deepEqual(pruned.prunedIDs, ["t1"])
+
+    const otherContext = await extension.commands.dcp("/dcp context", second)
+    assert.match(otherContext, /prunable count=2/)
+    assert.match(await extension.commands.dcp("/dcp stats", second), /prunedMessages=0/)
+    assert.match(await extension.commands.dcp("/dcp stats", first), /prunedMessages=1/)
+
+    const firstView = extension.hooks.chatMessagesTransform(messages, first)
+    const secondView = extension.hooks.chatMessagesTransform(messages, second)
+    assert.match(String(firstView[1].content), /dcp-pruned id=t1/)
+    assert.equal(secondView[1].content, "aaa")
+    assert.equal(extension.state.prunedByID.size, 0)
+})
+
+test("deduplication prunes older tool calls with the same normalized input", () => {
+    const config = normalizeConfig({})
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "read", content: "v1", input: { path: "a", n: 1 } },
+        { id: "t2", role: "tool", toolName: "read", content: "b", input: { path: "b" } },
+        {
+            id: "t3",
+            role: "tool",
+            toolName: "read",
+            content: "v2",
+            input: { n: 1, path: "a", offset: null },
+        },
+        { id: "t4", role: "tool", toolName: "bash", content: "x" },
+        { id: "t5", role: "tool", toolName: "bash", content: "y" },
+    ]
+
+    const result = deduplicate(messages, state, config)
+    assert.deepEqual(result.prunedIDs, ["t1"])
+    assert.equal(state.prunedByID.get("t1")?.reason, "dedupe")
+    assert.equal(state.counters.prunedMessages, 1)
+})
+
+test("deduplication honors protection and can be disabled", () => {
+    const messages = [
+        { id: "t1", role: "tool", toolName: "grep", content: "a", input: { q: "x" } },
+        { id: "t2", role: "tool", toolName: "grep", content: "b", input: { q: "x" } },
+        { id: "t3", role: "tool", toolName: "read", content: "c", input: { filePath: "k.md" } },
+        { id: "t4", role: "tool", toolName: "read", content: "d", input: { filePath: "k.md" } },
+    ]
+
+    const protectedState = createState()
+    const protectedConfig = normalizeConfig({
+        protectedFilePatterns: ["*.md"],
+        strategies: { deduplication: { protectedTools: ["GREP"] } },
+    })
+    assert.deepEqual(deduplicate(messages, protectedState, protectedConfig).prunedIDs, [])
+
+    const disabledState = createState()
+    const disabledConfig = normalizeConfig({ strategies: { deduplication: { enabled: false } } })
+    assert.deepEqual(deduplicate(messages, disabledState, disabledConfig).prunedIDs, [])
+})
+
+test("chatMessagesTransform applies deduplication automatically", () => {
+    const extension = createOpenClawDcpExtension({ persistence: { enabled: false } })
+    const messages = [
+        { id: "t1", role: "tool", toolName: "bash", content: "one", input: { command: "ls" } },
+        { id: "t2", role: "tool", toolName: "bash", content: "two", input: { command: "ls" } },
+    ]
+
+    const transformed = extension.hooks.chatMessagesTransform(messages)
+    assert.match(String(transformed[0].content), /dcp-pruned id=t1 reason=dedupe/)
+    assert.equal(transformed[1].content, "two")
+})
+
+test("supersede-writes drops write inputs once the file is read again", () => {
+    const config = normalizeConfig({})
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "edit it" },
+        {
+            id: "w1",
+            role: "tool",
+            toolName: "write",
+            content: "ok",
+            input: { filePath: "src/a.js", content: "const a = 1" },
+        },
+        {
+            id: "w2",
+            role: "tool",
+            toolName: "edit",
+            content: "ok",
+            input: { filePath: "src/b.js", newString: "b" },
+        },
+        { id: "r1", role: "tool", toolName: "read", content: "a", input: { filePath: "src/a.js" } },
+    ]
+
+    const result = supersedeWrites(messages, state, config)
+    assert.deepEqual(result.prunedIDs, ["w1"])
+    assert.equal(state.prunedInputsByID.get("w1")?.reason, "superseded")
+    assert.equal(state.prunedByID.has("w1"), false)
+
+    const transformed = createTransformedView(messages, state)
+    assert.equal(transformed[1].content, "ok")
+    assert.equal(transformed[1].input.content, "[dcp-pruned-input id=w1 reason=superseded]")
+    assert.equal(transformed[1].meta.dcp.prunedInput, true)
+    assert.equal(transformed[2].input.newString, "b")
+
+    const inventory = getPrunableInventory(messages, state, config)
+    assert.equal(
+        inventory.some((entry) => entry.messageID === "w1"),
+        true,
+    )
+})
+
+test("purge-errors drops failed tool inputs after the configured turn age", () => {
+    const config = normalizeConfig({ strategies: { purgeErrors: { turns: 2 } } })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "one" },
+        {
+            id: "e1",
+            role: "tool",
+            toolName: "bash",
+            status: "error",
+            content: "exit 1",
+            input: { command: "make all" },
+        },
+        { id: "u2", role: "user", content: "two" },
+        {
+            id: "e2",
+            role: "tool",
+            toolName: "bash",
+            meta: { isError: true },
+            content: "exit 2",
+            input: { command: "make test" },
+        },
+        { id: "u3", role: "user", content: "three" },
+    ]
+
+    assert.deepEqual(
+        [...getTurnAges(messages).entries()],
+        [
+            ["u3", 0],
+            ["e2", 1],
+            ["u2", 1],
+            ["e1", 2],
+            ["u1", 2],
+        ],
+    )
+
+    const result = purgeErrors(messages, state, config)
+    assert.deepEqual(result.prunedIDs, ["e1"])
+    assert.equal(state.prunedInputsByID.get("e1")?.reason, "errored")
+    assert.equal(state.counters.prunedChars, "make all".length)
+
+    const transformed = createTransformedView(messages, state)
+    assert.equal(transformed[1].content, "exit 1")
+    assert.match(transformed[1].input.command, /dcp-pruned-input id=e1 reason=errored/)
+
+    const disabled = normalizeConfig({ strategies: { purgeErrors: { enabled: false } } })
+    assert.deepEqual(purgeErrors(messages, createState(), disabled).prunedIDs, [])
+})
+
+test("tokenizers are pluggable per registry and fall back to the heuristic", () => {
+    const registry = createRegistry()
+    const dispose = registerTokenizer(registry, "words", {
+        countTokens: (text) => text.split(/\s+/).filter(Boolean).length,
+    })
+
+    assert.equal(resolveTokenizer("words", registry).countTokens("one two three"), 3)
+    assert.equal(resolveTokenizer("words", createRegistry()), heuristicTokenizer)
+    assert.equal(resolveTokenizer("missing", registry), heuristicTokenizer)
+    assert.equal(heuristicTokenizer.countTokens("abcdefgh"), 2)
+    assert.ok(["anthropic", "heuristic"].includes(resolveTokenizer("auto").name))
+    assert.throws(() => registerTokenizer(registry, "broken", {}))
+
+    dispose()
+    assert.equal(resolveTokenizer("words", registry), heuristicTokenizer)
+
+    const extension = createOpenClawDcpExtension({
+        tokenizer: "words",
+        persistence: { enabled: false },
+    })
+    extension.registerTokenizer("words", { countTokens: (text) => text.split(" ").length })
+    const messages = [{ id: "t1", role: "tool", toolName: "bash", content: "one two three" }]
+    const [entry] = getPrunableInventory(messages, extension.state, extension.config)
+    assert.equal(entry.estimatedTokens, 3)
+})
+
+test("inventory, counters and /dcp context report tokens from the configured tokenizer", async () => {
+    let calls = 0
+    const config = normalizeConfig({ tokenizer: "counting-words" })
+    const state = createState()
+    registerTokenizer(state.registry, "counting-words", {
+        countTokens: (text) => {
+            calls += 1
+            return text.split(/\s+/).filter(Boolean).length
+        },
+    })
+    const command = createCommandHandler({ state, config })
+    const messages = [
+        { id: "u1", role: "user", content: "go" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a b c d e" },
+        { id: "t2", role: "tool", toolName: "read", content: [{ type: "text", text: "x y" }] },
+    ]
+
+    const inventory = getPrunableInventory(messages, state, config)
+    assert.deepEqual(
+        inventory.map((entry) => [entry.messageID, entry.chars, entry.estimatedTokens]),
+        [
+            ["t1", 9, 5],
+            ["t2", 3, 2],
+        ],
+    )
+
+    const callsBeforeCache = calls
+    assert.equal(
+        countMessageTokens(
+            state,
+            "t1",
+            "a b c d e",
+            resolveTokenizer("counting-words", state.registry),
+        ),
+        5,
+    )
+    assert.equal(calls, callsBeforeCache)
+
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    assert.equal(state.prunedByID.get("t1")?.tokens, 5)
+    assert.equal(state.counters.prunedTokens, 5)
+
+    const output = await command("/dcp context", { messages })
+    assert.match(output, /tokens raw=8 view=6 saved=2 tokenizer=counting-words/)
+    assert.match(output, /#1 read chars=3 estTokens=2/)
+    assert.match(await command("/dcp stats", { messages }), /prunedTokens=5/)
+
+    // Sweeps only measure with a size filter, and then through the per-message cache
+    const callsBeforeSweep = calls
+    assert.deepEqual(collectSweepCandidates(messages, state, config, { all: true }), ["t2"])
+    assert.equal(calls, callsBeforeSweep)
+    const filters = { all: true, minTokens: 2 }
+    assert.deepEqual(collectSweepCandidates(messages, state, config, filters), ["t2"])
+    assert.equal(calls, callsBeforeSweep)
+})
+
+test("budget autopilot prunes oldest, largest entries down to the target", () => {
+    const config = normalizeConfig({
+        tokenizer: "heuristic",
+        budget: { enabled: true, limit: 300, target: 150 },
+    })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "q" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(400) },
+        { id: "u2", role: "user", content: "q" },
+        { id: "t2", role: "tool", toolName: "bash", content: "b".repeat(800) },
+        { id: "u3", role: "user", content: "q" },
+        { id: "t3", role: "tool", toolName: "bash", content: "c".repeat(200) },
+    ]
+
+    const result = applyBudget(messages, state, config)
+    assert.equal(result.triggered, true)
+    assert.deepEqual(result.prunedIDs, ["t1", "t2"])
+    assert.equal(state.prunedByID.get("t1")?.reason, "budget")
+    assert.ok(result.viewTokens <= 150)
+
+    const next = applyBudget(messages, state, config)
+    assert.equal(next.triggered, false)
+})
+
+test("budget autopilot does not retry every transform when the target is unreachable", () => {
+    const config = normalizeConfig({
+        tokenizer: "heuristic",
+        protectedTools: ["read"],
+        budget: { enabled: true, limit: 300, target: 150 },
+    })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "q" },
+        { id: "t1", role: "tool", toolName: "read", content: "a".repeat(2000) },
+        { id: "t2", role: "tool", toolName: "bash", content: "b".repeat(40) },
+    ]
+
+    const first = applyBudget(messages, state, config)
+    assert.equal(first.triggered, true)
+    assert.deepEqual(first.prunedIDs, ["t2"])
+
+    messages.push({ id: "t3", role: "tool", toolName: "bash", content: "c".repeat(40) })
+    assert.equal(applyBudget(messages, state, config).triggered, false)
+
+    messages.push({ id: "t4", role: "tool", toolName: "bash", content: "d".repeat(800) })
+    const rearmed = applyBudget(messages, state, config)
+    assert.equal(rearmed.triggered, true)
+    assert.deepEqual(rearmed.prunedIDs, ["t4", "t3"])
+})
+
+test("budget limits resolve percentages against the model context window", () => {
+    assert.equal(resolveTokenLimit(1200, 0), 1200)
+    assert.equal(resolveTokenLimit("80%", 200000), 160000)
+    assert.equal(resolveTokenLimit("80%", 0), 0)
+
+    const config = normalizeConfig({
+        tokenizer: "heuristic",
+        budget: { enabled: true, limit: "50%", target: "25%" },
+    })
+    const messages = [
+        { id: "u1", role: "user", content: "q" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(1000) },
+    ]
+
+    assert.equal(applyBudget(messages, createState(), config, { messages }).triggered, false)
+
+    const runtime = { messages, model: { contextWindow: 400 } }
+    const result = applyBudget(messages, createState(), config, runtime)
+    assert.equal(result.limitTokens, 200)
+    assert.equal(result.targetTokens, 100)
+    assert.deepEqual(result.prunedIDs, ["t1"])
+})
+
+test("a percentage budget target is taken of an absolute limit when no window is known", () => {
+    const config = normalizeConfig({
+        tokenizer: "heuristic",
+        budget: { enabled: true, limit: 900 },
+    })
+    const state = createState()
+    const messages = [{ id: "u1", role: "user", content: "q" }]
+    for (let index = 1; index <= 10; index++) {
+        messages.push({ id: `t${index}`, role: "tool", toolName: "bash", content: "x".repeat(400) })
+    }
+
+    const result = applyBudget(messages, state, config)
+    assert.equal(result.limitTokens, 900)
+    assert.equal(result.targetTokens, 540)
+    assert.equal(result.triggered, true)
+    assert.deepEqual(result.prunedIDs, ["t1", "t2", "t3", "t4", "t5"])
+    assert.ok(result.viewTokens < 900)
+})
+
+test("restore removes prune records, updates counters and drops orphaned distillations", () => {
+    const config = normalizeConfig({ tokenizer: "heuristic" })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(40) },
+        { id: "t2", role: "tool", toolName: "bash", content: "b".repeat(80) },
+    ]
+
+    const distillation = createDistillation(messages, state, ["t2"], "b summary")
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    pruneByIDs(messages, state, config, ["t2"], "distilled", distillation.id)
+
+    const result = restoreByIDs(state, ["t2", "missing"])
+    assert.deepEqual(result.restoredIDs, ["t2"])
+    assert.deepEqual(result.missingIDs, ["missing"])
+    assert.deepEqual(result.removedDistillationIDs, [distillation.id])
+    assert.equal(state.distillations.length, 0)
+    assert.equal(state.distillationBySourceID.has("t2"), false)
+    assert.deepEqual(
+        {
+            prunedMessages: state.counters.prunedMessages,
+            prunedChars: state.counters.prunedChars,
+            prunedTokens: state.counters.prunedTokens,
+            distillations: state.counters.distillations,
+        },
+        { prunedMessages: 1, prunedChars: 40, prunedTokens: 10, distillations: 0 },
+    )
+
+    const transformed = createTransformedView(messages, state)
+    assert.equal(transformed[2].content, "b".repeat(80))
+
+    const next = createDistillation(messages, state, ["t1"], "a summary")
+    assert.equal(next.id, "dcp-distill-1")
+})
+
+test("restore selectors cover all and the last prune batch", async (t) => {
+    const config = normalizeConfig({})
+    const state = createState()
+    const messages = [
+        { id: "t1", role: "tool", toolName: "bash", content: "a" },
+        { id: "t2", role: "tool", toolName: "bash", content: "b" },
+        { id: "t3", role: "tool", toolName: "bash", content: "c" },
+        { id: "t4", role: "tool", toolName: "bash", content: "d" },
+    ]
+
+    // Batches do not depend on the clock: both calls land in the same millisecond
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    pruneByIDs(messages, state, config, ["t2", "t3"], "sweep", undefined)
+    state.prunedByID.get("t1").at = state.prunedByID.get("t2").at
+
+    assert.deepEqual(selectRestoreIDs(state, "last"), ["t2", "t3"])
+    assert.deepEqual(selectRestoreIDs(state, "all"), ["t1", "t2", "t3"])
+    assert.deepEqual(selectRestoreIDs(state, "t1"), ["t1"])
+
+    // Every target of one dcp_distill call is one batch
+    restoreByIDs(state, ["t1", "t2", "t3"])
+    const runtime = { messages }
+    await createTools({ state, config }).dcp_distill(
+        {
+            targets: [
+                { id: "1", distillation: "first" },
+                { ids: ["3", "4"], distillation: "rest" },
+            ],
+        },
+        runtime,
+    )
+    assert.deepEqual(selectRestoreIDs(state, "last").sort(), ["t1", "t3", "t4"])
+
+    // Batches survive a restart, and new ones continue after them
+    const directory = makeTempDir(t, "dcp-batch-")
+    saveState(state, directory)
+    const restored = createState()
+    restoreState(restored, loadState(state.sessionID, directory))
+    assert.deepEqual(selectRestoreIDs(restored, "last").sort(), ["t1", "t3", "t4"])
+    assert.equal(restored.batch.lastID, state.batch.lastID)
+})
+
+test("restored messages are not re-pruned by automatic strategies", async () => {
+    const extension = createOpenClawDcpExtension({ persistence: { enabled: false } })
+    const runtime = {
+        messages: [
+            { id: "t1", role: "tool", toolName: "bash", content: "one", input: { command: "ls" } },
+            { id: "t2", role: "tool", toolName: "bash", content: "two", input: { command: "ls" } },
+        ],
+    }
+
+    extension.hooks.chatMessagesTransform(runtime.messages, runtime)
+    assert.equal(extension.state.prunedByID.get("t1")?.reason, "dedupe")
+
+    const output = await extension.commands.dcp("/dcp restore t1", runtime)
+    assert.equal(
+        output,
+        "restore restored=1 missing=0 distillationsRemoved=0 compressionsRemoved=0",
+    )
+
+    // Strategy passes that prune nothing do not use up a batch
+    const lastBatch = extension.state.batch.lastID
+    const transformed = extension.hooks.chatMessagesTransform(runtime.messages, runtime)
+    assert.equal(transformed[0].content, "one")
+    assert.equal(extension.state.batch.lastID, lastBatch)
+
+    const restored = await extension.tools.dcp_restore({ mode: "all" }, runtime)
+    assert.deepEqual(restored.restoredIDs, [])
+
+    await extension.tools.dcp_prune({ ids: ["1"] }, runtime)
+    assert.equal(extension.state.restoredIDs.has("t1"), false)
+    const last = await extension.tools.dcp_restore({ mode: "last" }, runtime)
+    assert.deepEqual(last.restoredIDs, ["t1"])
+})
+
+test("dcp_distill collapses several inventory ids or a range into one summary", async () => {
+    const config = normalizeConfig({})
+    const state = createState()
+    const tools = createTools({ state, config })
+    const runtime = {
+        messages: [
+            { id: "u1", role: "user", content: "start" },
+            { id: "t1", role: "tool", toolName: "bash", content: "aaa" },
+            { id: "a1", role: "assistant", content: "thinking" },
+            { id: "t2", role: "tool", toolName: "bash", content: "bbb" },
+            { id: "t3", role: "tool", toolName: "bash", content: "ccc" },
+            { id: "t4", role: "tool", toolName: "bash", content: "ddd" },
+        ],
+    }
+
+    const result = await tools.dcp_distill(
+        {
+            targets: [
+                { range: { from: "1", to: "3" }, distillation: "three builds passed" },
+                { ids: ["3", "4"], distillation: "last one" },
+            ],
+        },
+        runtime,
+    )
+
+    assert.equal(result.distillations.length, 2)
+    assert.deepEqual(result.distillations[0].sourceMessageIDs, ["t1", "t2", "t3"])
+    assert.deepEqual(result.distillations[1].sourceMessageIDs, ["t4"])
+    assert.deepEqual(result.prunedIDs, ["t1", "t2", "t3", "t4"])
+
+    const transformed = createTransformedView(runtime.messages, state)
+    assert.deepEqual(
+        transformed.map((message) => message.id),
+        ["u1", "t1", "a1", "t4"],
+    )
+    assert.equal(
+        transformed[1].content,
+        `[dcp-distilled id=${result.distillations[0].id} sources=t1,t2,t3]\nthree builds passed`,
+    )
+    assert.deepEqual(transformed[1].meta.dcp.sourceMessageIDs, ["t1", "t2", "t3"])
+    assert.equal(state.idMap.get("t3")?.transformedID, "t1")
+
+    restoreByIDs(state, ["t1"])
+    const afterRestore = createTransformedView(runtime.messages, state)
+    assert.deepEqual(
+        afterRestore.map((message) => message.id),
+        ["u1", "t1", "a1", "t2", "t4"],
+    )
+    assert.match(String(afterRestore[3].content), /sources=t2,t3\]/)
+    assert.equal(state.distillations.length, 2)
+
+    const huge = await tools.dcp_distill(
+        { targets: [{ range: { from: -5, to: 1e9 }, distillation: "everything" }], dryRun: true },
+        runtime,
+    )
+    assert.deepEqual(huge.distillations[0].sourceMessageIDs, ["t1"])
+    assert.deepEqual(huge.unresolvedInventoryIDs, [])
+})
+
+test("distilled messages render their summary through the configured template", async () => {
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "aaa" },
+        { id: "t2", role: "tool", toolName: "bash", content: "bbb" },
+        { id: "a1", role: "assistant", content: "next" },
+        { id: "t3", role: "tool", toolName: "bash", content: "ccc" },
+    ]
+    const state = createState()
+    const tools = createTools({ state, config: normalizeConfig({}) })
+    await tools.dcp_distill(
+        {
+            targets: [
+                { id: "1", distillation: "one" },
+                { id: "2", distillation: "two" },
+                { id: "3", distillation: "three" },
+            ],
+        },
+        { messages },
+    )
+
+    const defaultView = createTransformedView(messages, state)
+    assert.equal(defaultView[1].content, "[dcp-distilled id=dcp-distill-1 sources=t1]\none")
+    assert.equal(defaultView[1].meta.dcp.distillationID, "dcp-distill-1")
+
+    const templated = createTransformedView(
+        messages,
+        state,
+        normalizeConfig({ distillation: { template: "Summary of {id} ({unknown}): {summary}" } }),
+    )
+    assert.equal(templated[2].content, "Summary of t2 ({unknown}): two")
+
+    const combined = createTransformedView(
+        messages,
+        state,
+        normalizeConfig({ distillation: { template: "{summary}", combineConsecutive: true } }),
+    )
+    assert.deepEqual(
+        combined.map((message) => message.id),
+        ["u1", "t1", "a1", "t3"],
+    )
+    assert.equal(combined[1].content, "one\n\ntwo")
+    assert.deepEqual(combined[1].meta.dcp.distillationIDs, ["dcp-distill-1", "dcp-distill-2"])
+    assert.deepEqual(combined[1].meta.dcp.sourceMessageIDs, ["t1", "t2"])
+    assert.equal(state.idMap.get("t2")?.transformedID, "t1")
+    assert.equal(combined[3].content, "three")
+})
+
+test("dcp_compress replaces a conversation span with one summary", async () => {
+    const messages = [
+        { id: "u1", role: "user", content: "look into the auth flow" },
+        { id: "a1", role: "assistant", content: "reading the login handler" },
+        { id: "t1", role: "tool", toolName: "read", content: "function login() {}" },
+        { id: "a2", role: "assistant", content: "auth flow explained" },
+        { id: "u2", role: "user", content: "now fix the tests" },
+    ]
+    const state = createState()
+    const tools = createTools({ state, config: normalizeConfig({}) })
+
+    const ambiguous = await tools.dcp_compress(
+        { startString: "auth flow", endString: "tests", summary: "x" },
+        { messages },
+    )
+    assert.equal(ambiguous.ok, false)
+    assert.match(ambiguous.error, /startString matches 2 messages/)
+
+    const result = await tools.dcp_compress(
+        {
+            topic: "Auth exploration",
+            startString: "look into",
+            endString: "explained",
+            summary: "login() lives in the auth handler",
+        },
+        { messages },
+    )
+    assert.equal(result.ok, true)
+    assert.equal(result.compression.id, "dcp-compress-1")
+    assert.deepEqual(result.prunedIDs, ["u1", "a1", "t1", "a2"])
+    assert.equal(state.counters.prunedMessages, 4)
+
+    const view = createTransformedView(messages, state)
+    assert.deepEqual(
+        view.map((message) => message.id),
+        ["u1", "u2"],
+    )
+    assert.equal(
+        view[0].content,
+        "[dcp-compressed id=dcp-compress-1 messages=4 topic=Auth exploration]\nlogin() lives in the auth handler",
+    )
+    assert.equal(view[0].role, "user")
+    assert.equal(state.idMap.get("t1")?.transformedID, "u1")
+
+    // A boundary inside the earlier summary widens the new range over it
+    const wider = await tools.dcp_compress(
+        { startString: "login() lives", endString: "fix the tests", summary: "all done" },
+        { messages },
+    )
+    assert.equal(wider.ok, true)
+    assert.deepEqual(wider.removedCompressionIDs, ["dcp-compress-1"])
+    assert.equal(state.counters.prunedMessages, 5)
+    assert.deepEqual(
+        createTransformedView(messages, state).map((message) => message.content),
+        ["[dcp-compressed id=dcp-compress-2 messages=5]\nall done"],
+    )
+
+    const restored = restoreByIDs(state, selectRestoreIDs(state, "all"))
+    assert.deepEqual(restored.removedCompressionIDs, ["dcp-compress-2"])
+    assert.equal(state.compressions.length, 0)
+    assert.equal(createTransformedView(messages, state).length, 5)
+
+    // The summary keeps the first message's role; tool inputs are not boundaries
+    messages[2].input = { filePath: "src/auth/login.js" }
+    const inputOnly = await tools.dcp_compress(
+        { startString: "src/auth/login.js", endString: "explained", summary: "x" },
+        { messages },
+    )
+    assert.match(inputOnly.error, /startString was not found/)
+    await tools.dcp_compress(
+        { startString: "reading the login", endString: "explained", summary: "read it" },
+        { messages },
+    )
+    const assistantView = createTransformedView(messages, state)
+    assert.equal(assistantView[1].role, "assistant")
+    assert.match(String(assistantView[1].content), /^\[dcp-compressed id=\S+ messages=3\]/)
+})
+
+test("turn protection exempts recent tool output and reports why", () => {
+    const config = normalizeConfig({
+        protectedTools: ["read"],
+        turnProtection: { enabled: true, turns: 1 },
+    })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "first" },
+        { id: "t1", role: "tool", toolName: "bash", content: "old" },
+        { id: "u2", role: "user", content: "second" },
+        { id: "t2", role: "tool", toolName: "bash", content: "recent" },
+        { id: "t3", role: "tool", toolName: "read", content: "file" },
+    ]
+
+    assert.deepEqual(
+        getPrunableInventory(messages, state, config).map((entry) => entry.messageID),
+        ["t1"],
+    )
+
+    const swept = sweep(messages, state, config, undefined)
+    assert.deepEqual(swept.prunedIDs, [])
+    assert.deepEqual(swept.protectedIDs, ["t2", "t3"])
+    assert.deepEqual(swept.protectedReasons, { t2: "turn", t3: "tool" })
+
+    // Sweeping older turns needs --all or --older-than
+    const older = sweep(messages, createState(), config, undefined, { olderThan: 1 })
+    assert.deepEqual(older.prunedIDs, ["t1"])
+    const all = sweep(messages, createState(), config, undefined, { all: true })
+    assert.deepEqual(all.prunedIDs, ["t1"])
+    assert.deepEqual(all.protectedReasons, { t2: "turn", t3: "tool" })
+
+    const pruned = pruneByIDs(messages, state, config, ["t1", "t2"], "manual", undefined)
+    assert.deepEqual(pruned.prunedIDs, ["t1"])
+    assert.deepEqual(pruned.protectedIDs, ["t2"])
+    assert.deepEqual(pruned.protectedReasons, { t2: "turn" })
+})
+
+test("glob engine supports classes, braces, negation and directories", () => {
+    assert.equal(matchesGlob("/repo/src/a.ts", "src/?.ts"), true)
+    assert.equal(matchesGlob("/repo/src/ab.ts", "src/?.ts"), false)
+    assert.equal(matchesGlob("/repo/log3.txt", "log[0-9].txt"), true)
+    assert.equal(matchesGlob("/repo/logx.txt", "log[!0-9].txt"), true)
+    assert.deepEqual(expandBraces("*.{js,{c,m}ts}"), ["*.js", "*.cts", "*.mts"])
+    assert.equal(matchesGlob("/repo/.env.local", "/repo/.env{,.local}"), true)
+    assert.equal(matchesGlob("/other/.env", "/repo/.env"), false)
+    assert.equal(matchesGlob("/repo/secrets/deep/key.pem", "secrets"), true)
+    assert.equal(matchesGlob("/repo/secrets", "secrets/"), false)
+    assert.equal(matchesGlob("C:\\repo\\secrets\\key", "secrets/"), true)
+    assert.equal(
+        matchesAnyGlob(["/repo/secrets/public.txt"], ["secrets/", "!**/public.txt"]),
+        false,
+    )
+    assert.equal(matchesAnyGlob(["/repo/secrets/key.pem"], ["secrets/", "!**/public.txt"]), true)
+})
+
+test("file paths are collected from common tool inputs", () => {
+    const paths = collectFilePaths({
+        id: "t1",
+        role: "tool",
+        toolName: "apply_patch",
+        input: {
+            cwd: "/repo",
+            file_path: "notes.md",
+            paths: ["/abs/a.ts"],
+            patchText: "*** Begin Patch\n*** Update File: src/app.ts\n@@\n*** End Patch",
+        },
+    })
+    assert.deepEqual(paths, [
+        "notes.md",
+        "/abs/a.ts",
+        "src/app.ts",
+        "/repo/notes.md",
+        "/repo/src/app.ts",
+    ])
+
+    const config = normalizeConfig({ protectedFilePatterns: ["/repo/src/"] })
+    const state = createState()
+    const messages = [
+        {
+            id: "t1",
+            role: "tool",
+            toolName: "bash",
+            content: "x",
+            input: { cwd: "/repo", paths: ["README.md", "src/index.ts"] },
+        },
+    ]
+    const result = pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    assert.deepEqual(result.protectedReasons, { t1: "file" })
+})
+
+test("pins, content patterns and host predicates protect messages", async () => {
+    const config = normalizeConfig({
+        protectedContentPatterns: ["FATAL", "/todo\\(keep\\)/i", "("],
+    })
+    const state = createState()
+    registerProtectionRule(state.registry, "keep-marker", (message) => {
+        return String(message.content).includes("KEEP")
+    })
+    const messages = [
+        { id: "u1", role: "user", content: "go" },
+        { id: "t1", role: "tool", toolName: "bash", content: "FATAL: boom" },
+        { id: "t2", role: "tool", toolName: "bash", content: "TODO(Keep) later" },
+        { id: "t3", role: "tool", toolName: "bash", content: "host", meta: { pin: true } },
+        { id: "t4", role: "tool", toolName: "bash", content: "KEEP this" },
+        { id: "t5", role: "tool", toolName: "bash", content: "plain" },
+        { id: "t6", role: "tool", toolName: "bash", content: "plain too" },
+    ]
+    const runCommand = createCommandHandler({ state, config })
+    const runtime = { messages }
+
+    assert.deepEqual(
+        getPrunableInventory(messages, state, config).map((entry) => entry.messageID),
+        ["t5", "t6"],
+    )
+    assert.equal(await runCommand("/dcp pin 1", runtime), "pin id=t5 pinned=1")
+    assert.deepEqual(
+        getPrunableInventory(messages, state, config).map((entry) => entry.messageID),
+        ["t6"],
+    )
+
+    const swept = sweep(messages, state, config, undefined)
+    assert.deepEqual(swept.prunedIDs, ["t6"])
+    assert.deepEqual(swept.protectedReasons, {
+        t1: "content",
+        t2: "content",
+        t3: "pinned",
+        t4: "content",
+        t5: "pinned",
+    })
+
+    assert.equal(await runCommand("/dcp unpin t5", runtime), "unpin id=t5 pinned=0")
+    assert.deepEqual(pruneByIDs(messages, state, config, ["t5"], "manual", undefined).prunedIDs, [
+        "t5",
+    ])
+    assert.equal(await runCommand("/dcp pin nope", runtime), "pin unknown id=nope")
+})
+
+test("protection rules belong to one extension instance and can be removed", async () => {
+    const first = createOpenClawDcpExtension({ persistence: { enabled: false } })
+    const second = createOpenClawDcpExtension({ persistence: { enabled: false } })
+    const messages = [
+        { id: "u1", role: "user", content: "go" },
+        { id: "t1", role: "tool", toolName: "bash", content: "KEEP this" },
+    ]
+    const dispose = first.registerProtectionRule("keep-marker", (message) => {
+        return String(message.content).includes("KEEP")
+    })
+
+    assert.deepEqual(getPrunableInventory(messages, first.state, first.config), [])
+    const kept = sweep(messages, first.state, first.config, undefined, { all: true })
+    assert.deepEqual(kept.protectedReasons, { t1: "content" })
+    const other = await second.tools.dcp_prune({ ids: ["1"] }, { messages })
+    assert.deepEqual(other.prunedIDs, ["t1"])
+
+    dispose()
+    const pruned = await first.tools.dcp_prune({ ids: ["1"] }, { messages })
+    assert.deepEqual(pruned.prunedIDs, ["t1"])
+})
+
+test("/dcp unpin takes the inventory number a message was pinned by", async () => {
+    const config = normalizeConfig({})
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "go" },
+        { id: "t1", role: "tool", toolName: "bash", content: "one" },
+        { id: "t2", role: "tool", toolName: "bash", content: "two" },
+        { id: "t3", role: "tool", toolName: "bash", content: "three" },
+    ]
+    const runCommand = createCommandHandler({ state, config })
+    const runtime = { messages }
+
+    assert.equal(await runCommand("/dcp pin 2", runtime), "pin id=t2 pinned=1")
+    assert.equal(await runCommand("/dcp unpin #2", runtime), "unpin id=t2 pinned=0")
+    assert.deepEqual(
+        getPrunableInventory(messages, state, config).map((entry) => entry.id),
+        ["1", "2", "3"],
+    )
+    assert.equal(state.inventory.numericToMessageID.get("2"), "t2")
+})
+
+test("/dcp subcommands return structured objects with --json", async () => {
+    const calls = { commands: [] }
+    register({
+        config: { tokenizer: "heuristic", persistence: { enabled: false } },
+        registerCommand(definition) {
+            calls.commands.push(definition)
+        },
+    })
+    const runtime = {
+        messages: [
+            { id: "u1", role: "user", content: "start" },
+            { id: "t1", role: "tool", toolName: "bash", content: "aaaaaaaa" },
+            { id: "t2", role: "tool", toolName: "read", content: "bbbb" },
+        ],
+    }
+    const execute = (args) => calls.commands[0].execute("cmd-1", { args }, runtime)
+
+    const context = (await execute("context --json")).structuredContent
+    assert.equal(context.command, "context")
+    assert.deepEqual(context.messages, { raw: 3, view: 3 })
+    assert.deepEqual(context.prunable.byTool, {
+        bash: { count: 1, chars: 8, tokens: 2 },
+        read: { count: 1, chars: 4, tokens: 1 },
+    })
+    assert.deepEqual(context.inventory[0], {
+        id: "1",
+        messageID: "t1",
+        role: "tool",
+        toolName: "bash",
+        chars: 8,
+        tokens: 2,
+    })
+
+    const swept = (await execute("sweep 1 --json")).structuredContent
+    assert.deepEqual(swept.prunedIDs, ["t2"])
+    assert.equal(swept.limit, 1)
+    assert.deepEqual(swept.saved, { chars: 4, tokens: 1 })
+
+    const stats = (await execute("stats --json")).structuredContent
+    assert.equal(stats.counters.prunedMessages, 1)
+    assert.deepEqual(stats.byTool, { read: { count: 1, chars: 4, tokens: 1 } })
+
+    const text = await execute("stats")
+    assert.equal(text.structuredContent, undefined)
+    assert.match(text.content[0].text, /^stats prunedMessages=1/)
+})
+
+test("dry runs report what would be pruned without mutating state", async () => {
+    const config = normalizeConfig({ tokenizer: "heuristic", protectedTools: ["read"] })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(400) },
+        { id: "t2", role: "tool", toolName: "read", content: "b".repeat(40) },
+        { id: "t3", role: "tool", toolName: "bash", content: "c".repeat(80) },
+    ]
+    const runtime = { messages }
+    const runCommand = createCommandHandler({ state, config })
+    const tools = createTools({ state, config })
+
+    const preview = await runCommand("/dcp sweep --dry-run 1", runtime)
+    assert.equal(
+        preview,
+        [
+            "sweep dryRun=true wouldPrune=1 protected=1 candidates=2 limit=1 projectedSavedChars=49 projectedSavedTokens=12",
+            "prune t3 bash estTokens=20",
+            "protected t2 reason=tool",
+        ].join("\n"),
+    )
+    const previewJSON = await runCommand("/dcp sweep --dry-run --json", runtime)
+    assert.equal(previewJSON.dryRun, true)
+    assert.deepEqual(previewJSON.prunedIDs, ["t1", "t3"])
+
+    const pruned = await tools.dcp_prune({ ids: ["1", "2"], dryRun: true }, runtime)
+    assert.equal(pruned.dryRun, true)
+    assert.deepEqual(pruned.prunedIDs, ["t1", "t3"])
+    assert.ok(pruned.projectedSavings.tokens > 0)
+
+    const distilled = await tools.dcp_distill(
+        { targets: [{ ids: ["1", "2"], distillation: "short" }], dryRun: true },
+        runtime,
+    )
+    assert.equal(distilled.distillations[0].id, "dcp-distill-1")
+    assert.ok(distilled.projectedSavings.tokens > 0)
+
+    assert.equal(state.prunedByID.size, 0)
+    assert.equal(state.distillations.length, 0)
+    assert.deepEqual(state.counters, createState().counters)
+    assert.equal(state.idMap.size, 0)
+})
+
+test("/dcp stats breaks prunes down by tool and reason with lifetime totals", async () => {
+    const extension = createOpenClawDcpExtension({ tokenizer: "heuristic" })
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(40) },
+        { id: "t2", role: "tool", toolName: "read", content: "b".repeat(8) },
+        { id: "t3", role: "tool", toolName: "bash", content: "c".repeat(4) },
+    ]
+    const first = { sessionID: "s1", messages }
+    const second = { sessionID: "s2", messages }
+
+    await extension.tools.dcp_prune({ ids: ["1"] }, first)
+    await extension.commands.dcp("/dcp sweep", first)
+    await extension.tools.dcp_prune({ ids: ["2"] }, second)
+
+    const report = await extension.commands.dcp("/dcp stats --json", first)
+    assert.deepEqual(report.byTool, {
+        bash: { count: 2, chars: 44, tokens: 11 },
+        read: { count: 1, chars: 8, tokens: 2 },
+    })
+    assert.deepEqual(report.byReason, {
+        manual: { count: 1, chars: 40, tokens: 10 },
+        sweep: { count: 2, chars: 12, tokens: 3 },
+    })
+    assert.deepEqual(
+        report.timeline.map((event) => [event.reason, event.count]),
+        [
+            ["manual", 1],
+            ["sweep", 2],
+        ],
+    )
+    assert.equal(report.timeline[0].time, new Date(report.timeline[0].at).toISOString())
+    assert.equal(report.lifetime.sessions, 2)
+    assert.equal(report.lifetime.counters.prunedMessages, 4)
+
+    const text = await extension.commands.dcp("/dcp stats", first)
+    const lines = text.split("\n")
+    assert.equal(lines[1], "tool bash count=2 chars=44 tokens=11")
+    assert.equal(lines[3], "reason manual count=1 chars=40 tokens=10")
+    assert.match(lines[5], /^at \S+Z reason=manual count=1 chars=40 tokens=10$/)
+    assert.match(lines[7], /^lifetime sessions=2 prunedMessages=4 /)
+
+    // Restores take from the session counters, never from lifetime totals
+    await extension.commands.dcp("/dcp restore all", first)
+    const restored = await extension.commands.dcp("/dcp stats --json", first)
+    assert.equal(restored.counters.prunedMessages, 0)
+    assert.equal(restored.counters.prunedChars, 0)
+    assert.deepEqual(restored.lifetime.counters, report.lifetime.counters)
+
+    // Tool names and reasons are data, even when they name prototype keys
+    const odd = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "__proto__", content: "a".repeat(8) },
+    ]
+    await extension.tools.dcp_prune({ ids: ["1"], reason: "constructor" }, { messages: odd })
+    const oddReport = await extension.commands.dcp("/dcp stats --json", { messages: odd })
+    assert.deepEqual(Object.keys(oddReport.byTool), ["__proto__"])
+    assert.equal(oddReport.byReason.constructor.count, 1)
+    assert.equal(Object.getPrototypeOf(oddReport.byTool), Object.prototype)
+})
+
+test("sweep filters select by tool, size, age and whole conversation", async () => {
+    const config = normalizeConfig({ tokenizer: "heuristic" })
+    const messages = [
+        { id: "u1", role: "user", content: "first" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(400) },
+        { id: "t2", role: "tool", toolName: "read", content: "b".repeat(40) },
+        { id: "u2", role: "user", content: "second" },
+        { id: "t3", role: "tool", toolName: "bash", content: "c".repeat(80) },
+        { id: "t4", role: "tool", toolName: "grep", content: "d".repeat(800) },
+        { id: "t5", role: "tool", toolName: "bash", content: "e".repeat(8) },
+    ]
+    const runtime = { messages }
+
+    const state = createState()
+    const runCommand = createCommandHandler({ state, config })
+    assert.equal(
+        await runCommand("/dcp sweep --tool bash,read --min-tokens 10", runtime),
+        "sweep pruned=1 protected=0 candidates=1 limit=all",
+    )
+    assert.deepEqual([...state.prunedByID.keys()], ["t3"])
+    assert.equal(
+        await runCommand("/dcp sweep --all --largest=1", runtime),
+        "sweep pruned=1 protected=0 candidates=4 largest=1",
+    )
+    assert.deepEqual([...state.prunedByID.keys()], ["t3", "t4"])
+
+    const aged = sweep(messages, createState(), config, undefined, { olderThan: 1 })
+    assert.deepEqual(aged.prunedIDs, ["t1", "t2"])
+
+    const tools = createTools({ state: createState(), config })
+    const result = await tools.dcp_prune({ tools: ["bash"], all: true, largest: 2 }, runtime)
+    assert.deepEqual(result.prunedIDs.sort(), ["t1", "t3"])
+    assert.deepEqual(result.filters, {
+        tools: ["bash"],
+        minTokens: 0,
+        olderThan: 0,
+        all: true,
+        largest: 2,
+    })
+})
+
+test("truncate mode keeps head, tail and keep-pattern lines and marks elided spans", async (t) => {
+    const config = normalizeConfig({ tokenizer: "heuristic" })
+    const state = createState()
+    const log = Array.from({ length: 30 }, (_, index) => {
+        return index === 4 ? "ERROR boom" : `line ${index + 1}`
+    }).join("\n")
+    const messages = [
+        { id: "u1", role: "user", content: "run it" },
+        { id: "t1", role: "tool", toolName: "bash", content: log },
+        { id: "t2", role: "tool", toolName: "bash", content: "ok" },
+    ]
+    const runtime = { messages }
+    const tools = createTools({ state, config })
+
+    const missing = await tools.dcp_prune({ mode: "truncate" }, runtime)
+    assert.equal(missing.ok, false)
+
+    const result = await tools.dcp_prune(
+        {
+            ids: ["1", "2"],
+            mode: "truncate",
+            headLines: 2,
+            tailLines: 2,
+            keepText: ["ERROR"],
+            keepPatterns: ["(a+)+$"],
+        },
+        runtime,
+    )
+    assert.equal(result.mode, "truncate")
+    assert.deepEqual(result.prunedIDs, ["t1"])
+    assert.equal(result.elidedChars, 192)
+
+    const view = createTransformedView(messages, state, config)
+    assert.equal(
+        view[1].content,
+        [
+            "line 1",
+            "line 2",
+            "[dcp-truncated id=t1 lines=3-4 chars=13]",
+            "ERROR boom",
+            "[dcp-truncated id=t1 lines=6-28 chars=179]",
+            "line 29",
+            "line 30",
+        ].join("\n"),
+    )
+    assert.equal(view[1].meta.dcp.truncated, true)
+    assert.equal(view[1].meta.dcp.elidedLines, 25)
+    assert.equal(view[2].content, "ok")
+    assert.equal(state.truncatedByID.get("t1").chars, 192)
+    assert.deepEqual(state.truncatedByID.get("t1").truncation.keepPatterns, [])
+    assert.equal(state.counters.prunedChars, 192)
+    assert.equal(state.counters.prunedMessages, 0)
+
+    const directory = makeTempDir(t, "dcp-truncate-")
+    saveState(state, directory)
+    const restored = createState()
+    restoreState(restored, loadState(state.sessionID, directory))
+    assert.equal(createTransformedView(messages, restored, config)[1].content, view[1].content)
+
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    assert.equal(state.truncatedByID.size, 0)
+    assert.equal(state.counters.prunedChars, log.length)
+
+    restoreByIDs(state, ["t1"])
+    assert.equal(createTransformedView(messages, state, config)[1].content, log)
+
+    // Regexes come from config only
+    const configured = normalizeConfig({
+        tokenizer: "heuristic",
+        truncation: { headLines: 1, tailLines: 0, keepPatterns: ["/error/i"] },
+    })
+    await createTools({ state, config: configured }).dcp_prune(
+        { ids: ["1"], mode: "truncate" },
+        runtime,
+    )
+    assert.match(
+        String(createTransformedView(messages, state, configured)[1].content),
+        /\nERROR boom\n/,
+    )
+})
+
+test("content-block arrays keep block types and prune single blocks", async () => {
+    const config = normalizeConfig({ tokenizer: "heuristic", content: { imageTokens: 100 } })
+    const state = createState()
+    const image = { type: "image", source: { type: "base64", data: "x".repeat(5000) } }
+    const thinking = { type: "thinking", thinking: "hmm", signature: "sig" }
+    const messages = [
+        { id: "u1", role: "user", content: "go" },
+        {
+            id: "t1",
+            role: "tool",
+            toolName: "read",
+            content: [
+                { type: "text", text: "a".repeat(40) },
+                image,
+                { type: "text", text: "b".repeat(20) },
+            ],
+        },
+        {
+            id: "t2",
+            role: "tool",
+            toolName: "bash",
+            content: [
+                { type: "tool_result", tool_use_id: "call_1", content: "c".repeat(80) },
+                thinking,
+            ],
+        },
+    ]
+    const runtime = { messages }
+    const tools = createTools({ state, config })
+    const runCommand = createCommandHandler({ state, config })
+
+    const context = await runCommand("/dcp context", runtime)
+    assert.match(context, /^#1 read chars=61 estTokens=116 blocks=text,image,text$/m)
+
+    const blocks = await tools.dcp_prune({ ids: ["1.2", "1.3", "2.2", "9.1"] }, runtime)
+    assert.deepEqual(blocks.prunedIDs, ["t1"])
+    assert.deepEqual(blocks.unresolvedInventoryIDs, ["9.1"])
+    assert.deepEqual(state.prunedBlocksByID.get("t1").blocks, [1, 2])
+    assert.equal(state.prunedBlocksByID.get("t1").tokens, 105)
+
+    let view = createTransformedView(messages, state, config)
+    assert.deepEqual(view[1].content, [
+        { type: "text", text: "a".repeat(40) },
+        { type: "text", text: "[dcp-pruned id=t1 reason=manual]" },
+        { type: "text", text: "[dcp-pruned id=t1 reason=manual]" },
+    ])
+    assert.deepEqual(view[1].meta.dcp.prunedBlocks, [1, 2])
+
+    await tools.dcp_prune({ ids: ["2"] }, runtime)
+    view = createTransformedView(messages, state, config)
+    assert.deepEqual(view[2].content, [
+        { type: "tool_result", tool_use_id: "call_1", content: "[dcp-pruned id=t2 reason=manual]" },
+        thinking,
+    ])
+    assert.equal(state.prunedByID.get("t2").chars, 80)
+
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    assert.equal(state.prunedBlocksByID.size, 0)
+    view = createTransformedView(messages, state, config)
+    assert.deepEqual(view[1].content, [{ type: "text", text: "[dcp-pruned id=t1 reason=manual]" }])
+    assert.equal(state.counters.prunedTokens, 20 + 16 + 100)
+})
+
+test("replacing block prunes with a full prune adds only the difference to lifetime", async () => {
+    const config = normalizeConfig({ tokenizer: "heuristic" })
+    const state = createState()
+    const messages = [
+        { id: "u1", role: "user", content: "go" },
+        {
+            id: "t1",
+            role: "tool",
+            toolName: "read",
+            content: [
+                { type: "text", text: "a".repeat(400) },
+                { type: "text", text: "b".repeat(400) },
+            ],
+        },
+    ]
+    const tools = createTools({ state, config })
+
+    await tools.dcp_prune({ ids: ["1.1"] }, { messages })
+    await tools.dcp_prune({ ids: ["1.2"] }, { messages })
+    assert.equal(state.counters.prunedChars, 801)
+    assert.equal(state.lifetime.prunedChars, 801)
+
+    pruneByIDs(messages, state, config, ["t1"], "manual", undefined)
+    assert.equal(state.counters.prunedChars, 801)
+    assert.equal(state.lifetime.prunedChars, 801)
+    assert.equal(state.lifetime.prunedTokens, state.counters.prunedTokens)
+})
+
+test("pruned tool results strip paired call inputs and keep pairs valid", () => {
+    const config = normalizeConfig({ tokenizer: "heuristic", pairing: { stripCallInputs: true } })
+    const messages = [
+        { id: "u1", role: "user", content: "look around" },
+        {
+            id: "a1",
+            role: "assistant",
+            content: [
+                { type: "text", text: "reading" },
+                { type: "tool_use", id: "call_1", name: "bash", input: { command: "cat big" } },
+            ],
+        },
+        {
+            id: "r1",
+            role: "toolResult",
+            toolName: "bash",
+            toolCallId: "call_1",
+            content: [{ type: "text", text: "out".repeat(50) }],
+        },
+        {
+            id: "a2",
+            role: "assistant",
+            content: "",
+            tool_calls: [
+                {
+                    id: "call_2",
+                    function: { name: "bash", arguments: JSON.stringify({ command: "ls -la" }) },
+                },
+            ],
+        },
+        {
+            id: "r2",
+            role: "tool",
+            toolName: "bash",
+            tool_call_id: "call_2",
+            content: "y".repeat(100),
+        },
+    ]
+
+    const state = createState()
+    pruneByIDs(messages, state, config, ["r1", "r2"], "manual", undefined)
+    let view = createTransformedView(messages, state, config)
+    assert.deepEqual(view[1].content[1].input, {
+        command: "[dcp-pruned-input id=r1 reason=manual]",
+    })
+    assert.deepEqual(JSON.parse(view[3].tool_calls[0].function.arguments), {
+        command: "[dcp-pruned-input id=r2 reason=manual]",
+    })
+    assert.equal(view[2].toolCallId, "call_1")
+    assert.equal(messages[1].content[1].input.command, "cat big")
+
+    // A distillation of both results drops r2 from the view, so its call goes too
+    const distilled = createState()
+    const distillation = createDistillation(messages, distilled, ["r1", "r2"], "both listed")
+    pruneByIDs(messages, distilled, config, ["r1", "r2"], "distilled", distillation.id)
+    view = createTransformedView(messages, distilled, config)
+    assert.deepEqual(
+        view.map((message) => message.id),
+        ["u1", "a1", "r1", "a2"],
+    )
+    assert.equal(Object.hasOwn(view[3], "tool_calls"), false)
+    assert.equal(view[3].content, "[dcp-pruned-calls ids=call_2]")
+    assert.deepEqual(view[3].meta.dcp.droppedCallIDs, ["call_2"])
+
+    // Compressing only the call turns its result into a plain user message
+    const compressed = createState()
+    compressRange(messages, compressed, config, {
+        startString: "reading",
+        endString: "reading",
+        summary: "read the big file",
+        topic: "",
+    })
+    view = createTransformedView(messages, compressed, config)
+    assert.equal(view[2].role, "user")
+    assert.equal(view[2].toolCallId, undefined)
+    assert.deepEqual(view[2].content[0], {
+        type: "text",
+        text: "[dcp-tool-result call=call_1 tool=bash]",
+    })
+    assert.deepEqual(view[2].meta.dcp.unpairedCallIDs, ["call_1"])
+
+    const plain = createTransformedView(messages, state, normalizeConfig({}))
+    assert.equal(plain[1].content[1].input.command, "cat big")
+})
+
+test("chatMessagesTransform nudges the model with the prunable inventory", () => {
+    const extension = createOpenClawDcpExtension({
+        tokenizer: "heuristic",
+        persistence: { enabled: false },
+        nudge: { enabled: true, role: "assistant", minTokens: 80, everyToolCalls: 3 },
+    })
+    const transform = extension.hooks.chatMessagesTransform
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(200) },
+        { id: "t2", role: "tool", toolName: "read", content: "b".repeat(120) },
+    ]
+
+    let view = transform(messages, {})
+    const nudge = view[view.length - 1]
+    assert.equal(nudge.role, "assistant")
+    assert.equal(nudge.meta.dcp.nudge, true)
+    assert.match(nudge.content, /^Prunable tool output: 2 entries, ~80 tokens\./m)
+    assert.match(nudge.content, /^#1 bash 50\n#2 read 30\n<\/dcp-context-nudge>$/m)
+    assert.equal(messages.length, 3)
+
+    // Once per threshold crossing: re-armed only after dropping below it
+    assert.equal(transform(messages, {}).length, 3)
+    extension.state.pinnedIDs.add("t1")
+    assert.equal(transform(messages, {}).length, 3)
+    extension.state.pinnedIDs.delete("t1")
+    assert.equal(transform(messages, {}).at(-1).meta.dcp.nudge, true)
+
+    // Under the threshold, the nudge waits for three more tool calls
+    const small = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(20) },
+    ]
+    const other = createOpenClawDcpExtension({
+        tokenizer: "heuristic",
+        persistence: { enabled: false },
+        nudge: { enabled: true, minTokens: 100, everyToolCalls: 3 },
+    })
+    const runOther = (list) => other.hooks.chatMessagesTransform(list, {})
+    assert.equal(runOther(small).length, 2)
+    for (const id of ["t2", "t3"]) {
+        small.push({ id, role: "tool", toolName: "bash", content: "c" })
+    }
+    view = runOther(small)
+    assert.equal(view[view.length - 1].role, "system")
+    assert.equal(runOther(small).length, small.length)
+
+    // No nudge right after the model pruned
+    small.push({ id: "t4", role: "tool", toolName: "dcp_prune", content: "ok" })
+    small.push({ id: "t5", role: "tool", toolName: "bash", content: "d" })
+    small.push({ id: "t6", role: "tool", toolName: "dcp_prune", content: "ok" })
+    assert.equal(runOther(small).length, small.length)
+
+    // After host compaction shrinks the list, tool calls count from there
+    const compacted = [
+        { id: "u9", role: "user", content: "summary" },
+        { id: "t7", role: "tool", toolName: "bash", content: "e" },
+    ]
+    assert.equal(runOther(compacted).length, 2)
+    for (const id of ["t8", "t9", "t10"]) {
+        compacted.push({ id, role: "tool", toolName: "bash", content: "f" })
+    }
+    assert.equal(runOther(compacted).at(-1).meta.dcp.nudge, true)
+})
+
+test("placeholder templates render per tool and per reason, and pruned messages can be dropped", () => {
+    const config = normalizeConfig({
+        tokenizer: "heuristic",
+        placeholders: {
+            template: "[gone {id} {reason} age={age}]",
+            byReason: { manual: "[manual {id} chars={chars}]", bad: "[{unknown}]" },
+            byTool: { Read: "[read {filePath} via {toolName}]" },
+        },
+    })
+    assert.equal(config.placeholders.byReason.bad, undefined)
+    assert.equal(
+        normalizeConfig({ placeholders: { template: "{tool}" } }).placeholders.template,
+        "[dcp-pruned id={id} reason={reason}]",
+    )
+
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        {
+            id: "t1",
+            role: "tool",
+            toolName: "read",
+            input: { filePath: "src/a.js" },
+            content: "a".repeat(40),
+        },
+        { id: "t2", role: "tool", toolName: "bash", content: "b".repeat(40) },
+        { id: "t3", role: "tool", toolName: "grep", content: "c".repeat(40) },
+        { id: "u2", role: "user", content: "next" },
+    ]
+    const state = createState()
+    pruneByIDs(messages, state, config, ["t1", "t2"], "manual")
+    pruneByIDs(messages, state, config, ["t3"], "dedupe")
+
+    const view = createTransformedView(messages, state, config)
+    assert.equal(view[1].content, "[read src/a.js via read]")
+    assert.equal(view[2].content, "[manual t2 chars=40]")
+    assert.equal(view[3].content, "[gone t3 dedupe age=1]")
+
+    const dropped = createTransformedView(messages, state, { placeholders: { dropMessages: true } })
+    assert.deepEqual(
+        dropped.map((message) => message.id),
+        ["u1", "u2"],
+    )
+    assert.equal(state.idMap.get("t1").pruned, true)
+
+    const other = createState()
+    pruneByIDs(messages, other, config, ["t2"], "constructor")
+    pruneByIDs(messages, other, config, ["t3"], "__proto__")
+    const prototypeNamed = createTransformedView(messages, other, config)
+    assert.equal(prototypeNamed[2].content, "[gone t2 constructor age=1]")
+    assert.equal(prototypeNamed[3].content, "[gone t3 __proto__ age=1]")
+})
+
+test("validateConfig reports unknown keys, type mismatches and invalid patterns", async () => {
+    assert.deepEqual(validateConfig({}), [])
+    assert.deepEqual(validateConfig(normalizeConfig({})), [])
+    assert.deepEqual(
+        validateConfig({
+            turnProtection: { turns: 0, enabld: true },
+            nudge: { role: "bot" },
+            budget: { limit: "80" },
+            protectedTools: ["bash", 2],
+            protectedFilePatterns: ["src/{a,b", "!"],
+            protectedContentPatterns: ["(unclosed"],
+            placeholders: { byTool: { read: "[{tool}]" } },
+        }),
+        [
+            "turnProtection.turns: expected integer >= 1, got 0",
+            "turnProtection.enabld: unknown key",
+            'nudge.role: expected one of system, assistant, user, got "bot"',
+            'budget.limit: expected integer >= 1 or a percentage such as "80%", got "80"',
+            "protectedTools[1]: expected string, got 2",
+            'protectedFilePatterns: invalid glob "src/{a,b" (unbalanced braces)',
+            'protectedFilePatterns: invalid glob "!" (empty pattern)',
+            'protectedContentPatterns: invalid regular expression "(unclosed"',
+            "placeholders.byTool.read: unknown template variable {tool}",
+        ],
+    )
+
+    const extension = createOpenClawDcpExtension({
+        persistence: { enabled: false },
+        nudge: { enabled: "yes" },
+    })
+    const report = await extension.commands.dcp("/dcp config", { messages: [] })
+    assert.match(
+        report,
+        /^config warnings=1\nwarning nudge\.enabled: expected boolean, got "yes"\n/,
+    )
+    assert.match(report, /\nnudge\.enabled=false from=default\n/)
+    assert.match(report, /\npersistence\.enabled=false from=host\n/)
+    assert.match(report, /\nplaceholders\.byTool=\{\} from=default\n/)
+    const json = await extension.commands.dcp("/dcp config --json", { messages: [] })
+    assert.equal(json.config.persistence.enabled, false)
+    assert.equal(json.warnings.length, 1)
+})
+
+test("the manifest config schema is generated from the runtime schema", () => {
+    const manifest = JSON.parse(
+        readFileSync(new URL("../openclaw.plugin.json", import.meta.url), "utf8"),
+    )
+    assert.deepEqual(manifest.configSchema, JSON.parse(JSON.stringify(CONFIG_SCHEMA)))
+    assert.deepEqual(CONFIG_SCHEMA.default, JSON.parse(JSON.stringify(normalizeConfig({}))))
+})
+
+test("config reloads from the host and from a config file without losing session state", async (t) => {
+    const dir = makeTempDir(t, "dcp-reload-")
+    const configFile = join(dir, "dcp.json")
+    writeFileSync(configFile, JSON.stringify({ protectedTools: ["bash"] }))
+    let hostConfig = { persistence: { enabled: false }, reload: { configFile } }
+    const extension = createOpenClawDcpExtension(hostConfig, { readConfig: () => hostConfig })
+    const messages = [
+        { id: "u1", role: "user", content: "start" },
+        { id: "t1", role: "tool", toolName: "bash", content: "a".repeat(40) },
+        { id: "t2", role: "tool", toolName: "read", content: "b".repeat(40) },
+    ]
+    try {
+        assert.deepEqual(extension.config.protectedTools, ["bash"])
+        await extension.tools.dcp_prune({ ids: ["1"] }, { messages })
+        assert.equal(extension.state.prunedByID.size, 1)
+
+        writeFileSync(configFile, JSON.stringify({ placeholders: { template: "[gone {id}]" } }))
+        hostConfig = { ...hostConfig, enabled: false }
+        const report = await extension.commands.dcp("/dcp reload", { messages })
+        assert.match(report, /^reload changed=3 warnings=0\n/)
+        assert.match(report, /\nchanged protectedTools\n/)
+        assert.match(report, /\nrestart required for enabled$/)
+        assert.deepEqual(extension.config.protectedTools, [])
+        assert.equal(extension.config.enabled, true)
+
+        const view = extension.hooks.chatMessagesTransform(messages, {})
+        assert.equal(view[2].content, "[gone t2]")
+        assert.equal(extension.state.prunedByID.size, 1)
+
+        writeFileSync(configFile, "{ not json")
+        const result = extension.reloadConfig({ reload: { configFile }, tokenizer: "heuristic" })
+        assert.equal(extension.config.tokenizer, "heuristic")
+        assert.equal(extension.config.placeholders.template, "[dcp-pruned id={id} reason={reason}]")
+        assert.match(result.warnings[0], /^reload\.configFile: .*dcp\.json: /)
+    } finally {
+        extension.dispose()
+    }
+})
+
+test("config layers host, project .dcp.jsonc and session overrides with their sources", async (t) => {
+    const workspaceDir = makeTempDir(t, "dcp-workspace-")
+    writeFileSync(
+        join(workspaceDir, ".dcp.jsonc"),
+        `{
+            // project defaults
+            "protectedTools": ["bash"],
+            "persistence": { "directory": "/tmp/elsewhere" },
+            "nudge": { "minTokens": 500, },
+        }`,
+    )
+    const extension = createOpenClawDcpExtension(
+        { persistence: { enabled: false }, tokenizer: "heuristic", nudge: { minTokens: 100 } },
+        { workspaceDir },
+    )
+    const runtime = { sessionID: "s1", messages: [] }
+    try {
+        assert.equal(
+            await extension.commands.dcp("/dcp set nudge.enabled true", runtime),
+            "set nudge.enabled=true (session)",
+        )
+        assert.equal(
+            await extension.commands.dcp("/dcp set nudge.role bot", runtime),
+            'set rejected nudge.role: expected one of system, assistant, user, got "bot"',
+        )
+        assert.match(
+            await extension.commands.dcp("/dcp set persistence.enabled true", runtime),
+            /applies to every session/,
+        )
+        await extension.commands.dcp("/dcp set placeholders.template [gone {id}]", runtime)
+
+        const report = await extension.commands.dcp("/dcp config --json", runtime)
+        assert.equal(report.config.nudge.enabled, true)
+        assert.equal(report.config.nudge.minTokens, 500)
+        assert.deepEqual(report.config.protectedTools, ["bash"])
+        assert.equal(report.config.placeholders.template, "[gone {id}]")
+        assert.equal(report.sources["nudge.enabled"], "session")
+        assert.equal(report.sources["nudge.minTokens"], "project")
+        assert.equal(report.sources.tokenizer, "host")
+        assert.equal(report.sources["nudge.role"], "default")
+        assert.equal(report.config.persistence.directory, "")
+        assert.equal(report.sources["persistence.directory"], "default")
+        assert.deepEqual(report.warnings, [
+            ".dcp.jsonc: persistence applies to the whole extension and is ignored here",
+        ])
+        assert.match(
+            await extension.commands.dcp("/dcp config", runtime),
+            /\nnudge\.minTokens=500 from=project\n/,
+        )
+
+        const other = await extension.commands.dcp("/dcp config --json", {
+            sessionID: "s2",
+            messages: [],
+        })
+        assert.equal(other.config.nudge.enabled, false)
+
+        const state = extension.sessions.get("s1")
+        const restored = createState("s1")
+        restoreState(restored, JSON.parse(JSON.stringify(serializeState(state))))
+        assert.deepEqual(restored.configOverrides, {
+            nudge: { enabled: true },
+            placeholders: { template: "[gone {id}]" },
+        })
+
+        await extension.commands.dcp("/dcp unset nudge.enabled", runtime)
+        assert.deepEqual(state.configOverrides, { placeholders: { template: "[gone {id}]" } })
+        const unset = await extension.commands.dcp("/dcp config --json", runtime)
+        assert.equal(unset.sources["nudge.enabled"], "default")
+    } finally {
+        extension.dispose()
+    }
+})